@@ -0,0 +1,411 @@
+const assert = require('assert');
+const http = require('http');
+const os = require('os');
+const sharp = require('sharp');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./src/config');
+const routing = require('./src/routing');
+const telegramLogger = require('./src/telegramLogger');
+const twitterBackend = require('./src/twitterBackend');
+const postPipeline = require('./src/postPipeline');
+const postHistory = require('./src/postHistory');
+const captionHistory = require('./src/captionHistory');
+const watermarkCache = require('./src/watermarkCache');
+const { getPublisher } = require('./src/publishers');
+const { XApiPoster } = require('./src/xApiPoster');
+
+const USAGE = `Usage: node checkPublishers.js [--only <name>]
+
+Runs the publishing code against a local mock server instead of the real
+services and checks the requests it makes. Nothing is posted anywhere and
+no credentials are needed. Exits with code 1 when a check fails.
+
+Checks:
+  x-api-success       Chunked upload (INIT/APPEND/FINALIZE/STATUS), then POST /2/tweets
+  x-api-fallback      A failed upload falls back to the browser
+  x-api-ambiguous     A failed POST /2/tweets is neither retried nor sent to the browser
+  mastodon            Media upload, then the status
+  bluesky             uploadBlob then createRecord; the session is reused, then refreshed
+  telegram            The mirror sends the photo and links to it
+  one-failing         One destination failing leaves the others published
+
+Options:
+  --only <name>       Run a single check`;
+
+function parseArgs(argv) {
+    const args = { flags: {}, positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            const next = argv[i + 1];
+            args.flags[name] = next !== undefined && !next.startsWith('--') ? argv[++i] : true;
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * HTTP server on a free local port that records every request and answers
+ * with `server.route(request)`: { status, json } to reply, or null to drop
+ * the connection without an answer (like a timeout after the request was sent).
+ */
+async function startMockServer() {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                body: Buffer.concat(chunks)
+            };
+            server.requests.push(request);
+
+            const reply = server.route(request);
+            if (!reply) {
+                req.socket.destroy();
+                return;
+            }
+
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.json || {}));
+        });
+    });
+
+    server.requests = [];
+    server.route = () => ({ status: 404, json: { error: 'Not found' } });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    server.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return server;
+}
+
+// Plays the X API: media is "processed" after one STATUS poll, tweets get increasing IDs
+function xApiRoute(overrides = {}) {
+    let nextId = 1000;
+
+    return request => {
+        const command = request.query.command;
+        const key = request.path === '/2/tweets' ? 'tweet' : command;
+
+        if (overrides[key]) {
+            return overrides[key](request);
+        }
+
+        if (command === 'INIT') {
+            return { json: { media_id_string: String(nextId++) } };
+        }
+        if (command === 'APPEND') {
+            return { status: 204 };
+        }
+        if (command === 'FINALIZE') {
+            return { json: { media_id_string: request.query.media_id, processing_info: { state: 'pending', check_after_secs: 1 } } };
+        }
+        if (command === 'STATUS') {
+            return { json: { media_id_string: request.query.media_id, processing_info: { state: 'succeeded' } } };
+        }
+        if (request.path === '/1.1/media/metadata/create.json') {
+            return { json: {} };
+        }
+        if (request.path === '/2/tweets' && request.method === 'POST') {
+            return { status: 201, json: { data: { id: String(nextId++), text: JSON.parse(request.body).text } } };
+        }
+
+        return { status: 404, json: { title: 'Not Found' } };
+    };
+}
+
+// Stands in for the Puppeteer poster of the default account and counts its calls
+function useFakeBrowser() {
+    const browser = {
+        calls: 0,
+        setLogger() {},
+        async postTweet() {
+            this.calls++;
+            return 'https://x.com/browser/status/1';
+        }
+    };
+
+    twitterBackend.browsers.set(routing.getDefaultAccount().id, browser);
+    return browser;
+}
+
+function useApiPoster(server) {
+    const poster = new XApiPoster({
+        apiKey: 'key',
+        apiSecret: 'secret',
+        accessToken: 'token',
+        accessTokenSecret: 'token-secret',
+        apiBaseUrl: server.baseUrl,
+        uploadBaseUrl: server.baseUrl,
+        chunkSize: 1024, // Small, so one photo takes several APPENDs
+        timeout: 5000
+    }, 'checker');
+
+    twitterBackend.apis.set(routing.getDefaultAccount().id, poster);
+    return poster;
+}
+
+// Plays Mastodon, Bluesky and the Telegram Bot API at once; `overrides` replace single endpoints by path
+function publishersRoute(overrides = {}) {
+    return request => {
+        const name = request.path.split('/').pop();
+
+        if (overrides[name]) {
+            return overrides[name](request);
+        }
+
+        switch (name) {
+            // Mastodon
+            case 'media':
+                return { json: { id: 'media-1', type: 'image', url: 'https://mastodon.test/media-1.jpg' } };
+            case 'statuses':
+                return { json: { id: 'status-1', url: 'https://mastodon.test/@checker/status-1' } };
+
+            // Bluesky
+            case 'com.atproto.server.createSession':
+            case 'com.atproto.server.refreshSession':
+                return { json: { did: 'did:plc:checker', handle: 'checker.bsky.social', accessJwt: fakeJwt(3600), refreshJwt: fakeJwt(86400) } };
+            case 'com.atproto.repo.uploadBlob':
+                return { json: { blob: { $type: 'blob', ref: { $link: 'blob-1' }, mimeType: request.headers['content-type'], size: request.body.length } } };
+            case 'com.atproto.repo.createRecord':
+                return { json: { uri: 'at://did:plc:checker/app.bsky.feed.post/record-1', cid: 'cid-1' } };
+
+            // Telegram Bot API
+            case 'sendPhoto':
+                return { json: { ok: true, result: { message_id: 7, chat: { id: -1001234 } } } };
+            case 'getChat':
+                return { json: { ok: true, result: { id: -1001234, type: 'channel', username: 'checker_mirror' } } };
+
+            default:
+                return { status: 404, json: { error: 'Not found' } };
+        }
+    };
+}
+
+// Unsigned JWT expiring in `seconds` (negative: already expired); only its exp is read
+function fakeJwt(seconds) {
+    const part = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${part({ alg: 'none' })}.${part({ exp: Math.floor(Date.now() / 1000) + seconds })}.signature`;
+}
+
+// Points the Mastodon, Bluesky and Telegram mirror settings at the mock server
+function useMockServices(server) {
+    Object.assign(config.mastodon, { instanceUrl: server.baseUrl, accessToken: 'mastodon-token' });
+    Object.assign(config.bluesky, { serviceUrl: server.baseUrl, identifier: 'checker.bsky.social', appPassword: 'app-password' });
+    Object.assign(config.telegramMirror, { apiBaseUrl: server.baseUrl, channelId: '-1001234', botToken: '123:mock' });
+}
+
+function post(images, destinations) {
+    config.publishers.enabled = destinations;
+    return postPipeline.run({ prepared: { images, caption: 'Hello from the mock #mock' }, caption: 'Hello' });
+}
+
+const endpoints = server => server.requests.map(request => `${request.method} ${request.path}`);
+
+const checks = {
+    async 'x-api-success'({ server, images, logs }) {
+        server.route = xApiRoute();
+        useApiPoster(server);
+        const browser = useFakeBrowser();
+
+        const url = await post(images, ['x']);
+
+        const commands = server.requests.map(request => request.query.command || `${request.method} ${request.path}`);
+        const { size } = await fs.stat(images[0]);
+        const segments = Math.ceil(size / 1024);
+
+        assert.deepStrictEqual(commands, ['INIT', ...Array(segments).fill('APPEND'), 'FINALIZE', 'STATUS', 'POST /2/tweets']);
+        assert.deepStrictEqual(server.requests.filter(r => r.query.command === 'APPEND').map(r => r.query.segment_index),
+            [...Array(segments).keys()].map(String));
+        assert.ok(server.requests.every(request => /^OAuth .*oauth_signature="/.test(request.headers.authorization)), 'every request is signed');
+
+        const tweet = JSON.parse(server.requests[server.requests.length - 1].body);
+        assert.deepStrictEqual(tweet.media.media_ids, ['1000']);
+        assert.strictEqual(url, 'https://x.com/checker/status/1001');
+        assert.strictEqual(browser.calls, 0);
+        assert.ok(logs.some(message => message.includes('Published to 1/1')));
+    },
+
+    async 'x-api-fallback'({ server, images, logs }) {
+        server.route = xApiRoute({ APPEND: () => ({ status: 503, json: { title: 'Service Unavailable' } }) });
+        useApiPoster(server);
+        const browser = useFakeBrowser();
+
+        const url = await post(images, ['x']);
+
+        assert.strictEqual(url, 'https://x.com/browser/status/1');
+        assert.strictEqual(browser.calls, 1);
+        assert.ok(!server.requests.some(request => request.path === '/2/tweets'), 'no tweet is created through the API');
+        assert.ok(logs.some(message => message.includes('falling back to the browser')));
+    },
+
+    async 'x-api-ambiguous'({ server, images, logs }) {
+        server.route = xApiRoute({ tweet: () => null });
+        useApiPoster(server);
+        const browser = useFakeBrowser();
+
+        const error = await post(images, ['x']).then(() => null, rejection => rejection);
+
+        assert.ok(error, 'the post fails');
+        assert.strictEqual(error.retryable, false, 'the queue must not retry it');
+        assert.strictEqual(browser.calls, 0, 'the browser must not post it again');
+        assert.strictEqual(server.requests.filter(request => request.path === '/2/tweets').length, 1);
+        assert.ok(logs.some(message => message.includes('check X before posting it again')));
+    },
+
+    async mastodon({ server, images }) {
+        server.route = publishersRoute();
+
+        const url = await post(images, ['mastodon']);
+
+        assert.deepStrictEqual(endpoints(server), ['POST /api/v2/media', 'POST /api/v1/statuses']);
+        assert.ok(server.requests.every(request => request.headers.authorization === 'Bearer mastodon-token'));
+        assert.match(server.requests[0].headers['content-type'], /^multipart\/form-data/);
+
+        const status = JSON.parse(server.requests[1].body);
+        assert.deepStrictEqual(status.media_ids, ['media-1']);
+        assert.strictEqual(status.status, 'Hello from the mock #mock');
+        assert.ok(server.requests[1].headers['idempotency-key'], 'the status carries an idempotency key');
+        assert.strictEqual(url, 'https://mastodon.test/@checker/status-1');
+    },
+
+    async bluesky({ server, images }) {
+        server.route = publishersRoute();
+        const publisher = getPublisher('bluesky');
+        publisher.session = null;
+
+        const url = await post(images, ['bluesky']);
+        await post(images, ['bluesky']);
+
+        assert.deepStrictEqual(endpoints(server), [
+            'POST /xrpc/com.atproto.server.createSession',
+            'POST /xrpc/com.atproto.repo.uploadBlob',
+            'POST /xrpc/com.atproto.repo.createRecord',
+            'POST /xrpc/com.atproto.repo.uploadBlob',
+            'POST /xrpc/com.atproto.repo.createRecord'
+        ], 'the second post reuses the session');
+        assert.deepStrictEqual(server.requests[1].body, await fs.readFile(images[0]));
+
+        const { repo, record } = JSON.parse(server.requests[2].body);
+        assert.strictEqual(repo, 'did:plc:checker');
+        assert.deepStrictEqual(record.embed.images[0].image.ref, { $link: 'blob-1' });
+        assert.deepStrictEqual(record.facets[0].features[0], { $type: 'app.bsky.richtext.facet#tag', tag: 'mock' });
+        assert.strictEqual(url, 'https://bsky.app/profile/checker.bsky.social/post/record-1');
+
+        // An expired access token is refreshed with the refresh token, not by logging in again
+        server.requests = [];
+        publisher.session.accessJwt = fakeJwt(-60);
+        await post(images, ['bluesky']);
+
+        assert.strictEqual(endpoints(server)[0], 'POST /xrpc/com.atproto.server.refreshSession');
+        assert.ok(!endpoints(server).includes('POST /xrpc/com.atproto.server.createSession'));
+    },
+
+    async telegram({ server, images }) {
+        server.route = publishersRoute();
+
+        const url = await post(images, ['telegram']);
+
+        assert.deepStrictEqual(endpoints(server), ['POST /bot123:mock/sendPhoto', 'POST /bot123:mock/getChat']);
+        assert.strictEqual(server.requests[0].query.chat_id, '-1001234');
+        assert.strictEqual(server.requests[0].query.caption, 'Hello from the mock #mock');
+        assert.match(server.requests[0].headers['content-type'], /^multipart\/form-data/);
+        assert.strictEqual(url, 'https://t.me/checker_mirror/7');
+    },
+
+    async 'one-failing'({ server, images, logs }) {
+        server.route = publishersRoute({ statuses: () => ({ status: 500, json: { error: 'Internal server error' } }) });
+
+        const url = await post(images, ['mastodon', 'bluesky', 'telegram']);
+
+        const called = endpoints(server);
+        assert.ok(called.includes('POST /xrpc/com.atproto.repo.createRecord'), 'Bluesky is still posted');
+        assert.ok(called.includes('POST /bot123:mock/sendPhoto'), 'the Telegram mirror is still posted');
+        assert.ok(url, 'the post counts as published');
+
+        const summary = logs.find(message => message.includes('Published to'));
+        assert.match(summary, /Published to 2\/3/);
+        assert.match(summary, /❌ Mastodon: .*Internal server error/);
+    }
+};
+
+async function main() {
+    const { flags } = parseArgs(process.argv.slice(2));
+
+    if (flags.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const names = typeof flags.only === 'string' ? [flags.only] : Object.keys(checks);
+    const unknown = names.filter(name => !checks[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown check: ${unknown.join(', ')}`);
+    }
+
+    // Only the built-in default account and the settings below, whatever the .env says
+    routing.loadDefault();
+    config.twitter.backend = 'api';
+    config.twitter.fallbackOn = ['auth', 'rate_limit', 'server', 'network'];
+
+    const logs = [];
+    telegramLogger.log = async message => {
+        logs.push(message);
+    };
+    twitterBackend.setLogger(telegramLogger);
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'check-publishers-'));
+    const imagePath = path.join(workDir, 'photo.jpg');
+
+    // Histories go to the scratch folder, not data/
+    postHistory.filePath = path.join(workDir, 'history.json');
+    captionHistory.filePath = path.join(workDir, 'captions.json');
+    watermarkCache.filePath = path.join(workDir, 'watermark-cache.json');
+
+    await sharp({ create: { width: 320, height: 240, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } } })
+        .jpeg()
+        .toFile(imagePath);
+
+    const server = await startMockServer();
+    useMockServices(server);
+    let failed = 0;
+
+    try {
+        for (const name of names) {
+            server.requests = [];
+            logs.length = 0;
+
+            try {
+                await checks[name]({ server, images: [imagePath], logs });
+                console.log(`✅ ${name}`);
+            } catch (error) {
+                failed++;
+                console.error(`❌ ${name}: ${error.message}`);
+            }
+        }
+    } finally {
+        server.close();
+        await fs.remove(workDir);
+    }
+
+    console.log(`\n${names.length - failed}/${names.length} check(s) passed`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
+}
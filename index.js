@@ -4,7 +4,11 @@ const TelegramListener = require('./src/telegramListener');
 const telegramLogger = require('./src/telegramLogger');
 const cleanup = require('./src/cleanup');
 const { QueueManager } = require('./src/queueManager');
-const twitterPoster = require('./src/twitterPoster');
+const twitterBackend = require('./src/twitterBackend');
+const postPipeline = require('./src/postPipeline');
+const approvalManager = require('./src/approvalManager');
+const watermarkCache = require('./src/watermarkCache');
+const routing = require('./src/routing');
 
 // Initialize queue manager
 const queueManager = new QueueManager(config.queue);
@@ -14,13 +18,32 @@ async function main() {
   try {
     console.log('🚀 Starting Muse AutoPost...');
     
+    // Fail fast on a broken routing file
+    routing.load();
+    
+    // Anyone holding the key can read the payload, and find where to damage it
+    if (config.forensic.enabled && (!config.forensic.key || config.forensic.key === 'change-me')) {
+      throw new Error('FORENSIC_WATERMARK_ENABLED is set but FORENSIC_WATERMARK_KEY is missing or still the example value');
+    }
+    
+    // Keep files referenced by queued jobs safe from the cleanup pass
+    cleanup.addProtectedPaths(() => queueManager.getReferencedFiles());
+    cleanup.addProtectedPaths(() => approvalManager.getReferencedFiles());
+    cleanup.addProtectedPaths(() => watermarkCache.getReferencedFiles());
+    
+    // Replay the queue journal and pending approvals before cleanup runs
+    const restored = await queueManager.restore();
+    await approvalManager.restore();
+    
     // Initialize cleanup on startup
     await cleanup.initCleanup();
     
     // Initialize logger and set it for components
     await telegramLogger.initialize();
     queueManager.setLogger(telegramLogger);
-    twitterPoster.setLogger(telegramLogger);
+    queueManager.setProcessor((postData) => postPipeline.run(postData));
+    queueManager.setDelayResolver((job) => routing.getAccount(job.data.accountId).queueDelay);
+    twitterBackend.setLogger(telegramLogger);
     
     // Set up telegram listener with queue integration
     telegramListener.setQueueManager(queueManager);
@@ -32,9 +55,18 @@ async function main() {
     
     // Send startup notification with new log level
     await telegramLogger.log('🚀 Muse AutoPost started successfully!\n\n' +
+                            `📣 Destinations: ${config.publishers.enabled.join(', ')}\n` +
+                            `🐦 Twitter backend: ${config.twitter.backend}\n` +
+                            `🤖 LLM: ${config.llm.provider} (${config.llm.model})\n` +
+                            `🧭 Accounts: ${routing.getAccounts().map(account => account.id).join(', ')}\n` +
                             `📊 Queue enabled: ${config.queue.enabled}\n` +
                             `⏱️ Post delay: ${config.queue.postDelay/1000}s\n` +
-                            `🔄 Max retries: ${config.queue.maxRetries}`, 'success');
+                            `📝 Approval required: ${config.approval.enabled}\n` +
+                            `🔄 Max retries: ${config.queue.maxRetries}\n` +
+                            `📂 Restored jobs: ${restored.pending} (${restored.requeued} interrupted)`, 'success');
+    
+    // Resume any jobs restored from the journal
+    queueManager.processQueue();
     
   } catch (error) {
     console.error('❌ Failed to start Muse AutoPost:', error);
@@ -47,10 +79,12 @@ async function main() {
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
   
-  // Clear queue and log status
-  const clearedCount = queueManager.clearQueue();
-  if (clearedCount > 0) {
-    await telegramLogger.log(`🗑️ Cleared ${clearedCount} pending posts from queue`, 'warning');
+  // Pending jobs stay in the journal and resume on next start
+  await queueManager.store.flush();
+  const { queueLength, currentJobId } = queueManager.getQueueStatus();
+  const pendingCount = queueLength + (currentJobId ? 1 : 0);
+  if (pendingCount > 0) {
+    await telegramLogger.log(`📂 ${pendingCount} pending post(s) saved and will resume on restart`, 'warning');
   }
   
   await telegramLogger.log('🛑 Muse AutoPost shutting down...', 'info');
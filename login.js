@@ -2,19 +2,25 @@ const puppeteer = require('puppeteer');
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('./src/config');
+const routing = require('./src/routing');
 
 class TwitterLogin {
-    constructor() {
+    constructor(account) {
         this.browser = null;
         this.page = null;
-        this.cookiesPath = config.paths.cookies;
+        this.account = account;
+        this.cookiesPath = account.cookies;
     }
 
     async initBrowser() {
-        console.log('🚀 Initializing browser...');
+        console.log(`🚀 Initializing browser for account ${this.account.id}...`);
+        
+        // Same profile directory the bot uses for this account
+        await fs.ensureDir(this.account.userDataDir);
         
         this.browser = await puppeteer.launch({
             headless: false, // Set to false so you can see the login process
+            userDataDir: this.account.userDataDir,
             args: [
                 '--no-sandbox',
                 '--disable-setuid-sandbox',
@@ -207,8 +213,17 @@ class TwitterLogin {
 }
 
 // Main execution function
+// Usage: node login.js [account ID from the routing file]
 async function main() {
-    const twitterLogin = new TwitterLogin();
+    const accountId = process.argv[2];
+    const account = accountId ? routing.getAccounts().find(item => item.id === accountId) : routing.getDefaultAccount();
+    
+    if (!account) {
+        console.error(`❌ Unknown account "${accountId}". Known accounts: ${routing.getAccounts().map(item => item.id).join(', ')}`);
+        process.exit(1);
+    }
+    
+    const twitterLogin = new TwitterLogin(account);
     
     try {
         console.log('🚀 Starting Twitter Login Process...');
@@ -219,7 +234,7 @@ async function main() {
         
         console.log('\n' + '=' .repeat(50));
         console.log('✅ LOGIN PROCESS COMPLETED SUCCESSFULLY!');
-        console.log('🍪 Cookies saved to:', config.paths.cookies);
+        console.log('🍪 Cookies saved to:', account.cookies);
         console.log('🤖 You can now run the main bot with these credentials');
         
         // Keep browser open for a few seconds to show success
@@ -0,0 +1,121 @@
+require('dotenv').config();
+const sharp = require('sharp');
+const fs = require('fs-extra');
+const path = require('path');
+const routing = require('./src/routing');
+const imageWatermark = require('./src/imageWatermark');
+const { validatePlacement } = require('./src/watermarkPlacement');
+const { markFields, renderTemplate } = require('./src/textWatermark');
+
+const USAGE = `Usage: node previewWatermark.js <image> [options]
+
+Watermarks a copy of the image and, in smart mode, outlines the candidate
+regions with their scores: green for the chosen one, red for the others,
+and a cross on the subject found by the attention analysis.
+
+Options:
+  --account <id>      Use a routed account's logo and placement
+  --channel <chat>    Apply the placement of that channel's route (ID or @username)
+  --mode <mode>       Override the placement mode (anchor, tiled, diagonal, random, smart)
+  --content <content> Override what is stamped (logo, text, both)
+  --text <template>   Override the text template, e.g. "@{account} · {date}"
+  --out <path>        Where to write the preview (default: <image>_preview.jpg)`;
+
+function parseArgs(argv) {
+    const args = { flags: {}, positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            const next = argv[i + 1];
+            args.flags[name] = next !== undefined && !next.startsWith('--') ? argv[++i] : true;
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+
+    return args;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+}
+
+// SVG overlay with every candidate region, its score and the attention focus
+function outlineCandidates(frame, analysis) {
+    const stroke = Math.max(2, Math.round(Math.min(frame.width, frame.height) / 250));
+    const fontSize = stroke * 8;
+    const shapes = analysis.candidates.map(candidate => {
+        const color = candidate === analysis.chosen ? '#00e676' : '#ff1744';
+        const label = `${candidate.position} ${candidate.score}`;
+        return `<rect x="${candidate.left}" y="${candidate.top}" width="${candidate.width}" height="${candidate.height}" fill="none" stroke="${color}" stroke-width="${stroke}"/>` +
+               `<text x="${candidate.left + stroke * 2}" y="${candidate.top + fontSize + stroke}" font-family="sans-serif" font-size="${fontSize}" fill="${color}" stroke="#000" stroke-width="${stroke / 4}">${escapeXml(label)}</text>`;
+    });
+
+    const { x, y } = analysis.focus;
+    const arm = stroke * 8;
+    shapes.push(`<path d="M${x - arm} ${y}H${x + arm}M${x} ${y - arm}V${y + arm}" stroke="#ffea00" stroke-width="${stroke}"/>`);
+
+    return Buffer.from(`<svg width="${frame.width}" height="${frame.height}" xmlns="http://www.w3.org/2000/svg">${shapes.join('')}</svg>`);
+}
+
+async function main() {
+    const { flags, positional } = parseArgs(process.argv.slice(2));
+    const imagePath = positional[0];
+
+    if (flags.help || !imagePath) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!await fs.pathExists(imagePath)) {
+        throw new Error(`Image not found: ${imagePath}`);
+    }
+
+    const account = routing.getAccount(flags.account);
+    const chat = typeof flags.channel === 'string'
+        ? (flags.channel.startsWith('@') ? { id: flags.channel, username: flags.channel.slice(1) } : { id: flags.channel })
+        : null;
+    const placement = routing.getWatermarkPlacement(account.id, chat);
+    for (const name of ['mode', 'content', 'text']) {
+        if (typeof flags[name] === 'string') {
+            placement[name] = flags[name];
+        }
+    }
+    validatePlacement(placement, 'the options');
+
+    // {postId} is derived from the image path here, not from a channel message
+    const sample = { accountId: account.id, images: [imagePath], source: { chatUsername: chat && chat.username }, channelName: chat && String(chat.id) };
+    const markText = placement.content === 'logo' ? null : renderTemplate(placement.text, markFields(sample, account));
+
+    console.log(`🖼️ ${path.basename(imagePath)} as ${account.id}: ${JSON.stringify(placement)}`);
+    if (markText) {
+        console.log(`✍️ Text: ${markText}`);
+    }
+
+    const { layers, frame, analysis } = await imageWatermark.render(imagePath, account.watermark, placement, markText);
+
+    if (analysis) {
+        console.log('─'.repeat(60));
+        for (const candidate of [...analysis.candidates].sort((a, b) => a.score - b.score)) {
+            const marker = candidate === analysis.chosen ? '→' : ' ';
+            console.log(`${marker} ${candidate.position.padEnd(13)} score ${candidate.score.toFixed(2)}  entropy ${candidate.entropy.toFixed(2)}  luminance ${candidate.luminance}`);
+        }
+        console.log('─'.repeat(60));
+        layers.push({ input: outlineCandidates(frame, analysis) });
+    }
+
+    const outputPath = typeof flags.out === 'string'
+        ? flags.out
+        : path.join(path.dirname(imagePath), `${path.basename(imagePath, path.extname(imagePath))}_preview.jpg`);
+
+    await sharp(imagePath).composite(layers).jpeg({ quality: 90 }).toFile(outputPath);
+    console.log(`✅ Preview written to ${outputPath}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
+}
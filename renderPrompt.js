@@ -0,0 +1,118 @@
+require('dotenv').config();
+const path = require('path');
+const promptTemplates = require('./src/promptTemplates');
+const routing = require('./src/routing');
+const captionBuilder = require('./src/captionBuilder');
+const { getProvider } = require('./src/llm');
+const { getTweetLength } = require('./src/tweetLength');
+
+const USAGE = `Usage: node renderPrompt.js [template] [options]
+
+Without a template, lists the available templates.
+
+Options:
+  --image <paths>     Sample image(s) sent along with the prompt (vision templates), comma-separated
+  --caption <text>    {{caption}}
+  --hashtags <list>   {{hashtags}}, comma-separated
+  --hashtag <tag>     {{hashtag}}
+  --channel <name>    {{channelName}}
+  --language <name>   {{language}}
+  --persona <text>    {{persona}}
+  --account <id>      Take the persona from a routed account
+  --run               Send the rendered prompt to the configured LLM and print the answer`;
+
+function parseArgs(argv) {
+    const args = { flags: {}, positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            const next = argv[i + 1];
+            args.flags[name] = next !== undefined && !next.startsWith('--') ? argv[++i] : true;
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+
+    return args;
+}
+
+async function listTemplates() {
+    const templates = await promptTemplates.list();
+
+    if (templates.length === 0) {
+        console.log('No prompt templates found');
+        return;
+    }
+
+    for (const template of templates) {
+        console.log(`${template.id.padEnd(28)} ${template.description}`);
+    }
+}
+
+async function main() {
+    const { flags, positional } = parseArgs(process.argv.slice(2));
+    const name = positional[0];
+
+    if (flags.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!name) {
+        await listTemplates();
+        return;
+    }
+
+    let persona = flags.persona;
+    if (!persona && flags.account) {
+        persona = routing.getAccount(flags.account).persona;
+    }
+
+    const imagePaths = typeof flags.image === 'string' ? flags.image.split(',').map(imagePath => imagePath.trim()) : [];
+
+    const variables = {
+        album: imagePaths.length > 1,
+        imageCount: imagePaths.length,
+        caption: flags.caption,
+        hashtags: typeof flags.hashtags === 'string' ? flags.hashtags.split(',').map(tag => tag.trim()) : undefined,
+        hashtag: flags.hashtag,
+        channelName: flags.channel,
+        language: flags.language,
+        persona
+    };
+
+    const prompt = await promptTemplates.render(name, variables);
+
+    console.log(`📄 ${prompt.id}`);
+    console.log('─'.repeat(60));
+    console.log(prompt.text);
+    console.log('─'.repeat(60));
+
+    if (!flags.run) {
+        return;
+    }
+
+    const llm = getProvider();
+    if (!llm.isConfigured()) {
+        throw new Error(`LLM provider "${llm.name}" is not configured`);
+    }
+
+    console.log(`🤖 Running against ${llm.name}${imagePaths.length > 0 ? ` with ${imagePaths.map(imagePath => path.basename(imagePath)).join(', ')}` : ''}...`);
+
+    // Downscaled the same way as when posting
+    const images = await captionBuilder.loadVisionImages(imagePaths);
+    const output = images.length > 0
+        ? await llm.generateVision(prompt.text, images.map(({ data, mimeType }) => ({ data, mimeType })))
+        : await llm.generateText(prompt.text);
+
+    console.log(`\n${output}\n`);
+    console.log(`📏 ${getTweetLength(output)} weighted characters`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
+}
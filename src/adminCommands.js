@@ -0,0 +1,362 @@
+const config = require('./config');
+const cleanup = require('./cleanup');
+const twitterBackend = require('./twitterBackend');
+const telegramLogger = require('./telegramLogger');
+const approvalManager = require('./approvalManager');
+const postHistory = require('./postHistory');
+const postPipeline = require('./postPipeline');
+const routing = require('./routing');
+const captionBuilder = require('./captionBuilder');
+const { getValidationStats } = require('./llm/structured');
+
+class AdminCommands {
+  constructor() {
+    this.bot = null;
+    this.queueManager = null;
+
+    // Command name -> handler(args, message)
+    this.commands = {
+      help: () => this.handleHelp(),
+      status: () => this.handleStatus(),
+      queue: () => this.handleQueue(),
+      pause: () => this.handlePause(),
+      resume: () => this.handleResume(),
+      skip: (args) => this.handleSkip(args),
+      retry: (args) => this.handleRetry(args),
+      clear: () => this.handleClear(),
+      cleanup: () => this.handleCleanup(),
+      testlogin: (args) => this.handleTestLogin(args),
+      unpost: (args) => this.handleUnpost(args),
+      trace: (args) => this.handleTrace(args),
+      presets: () => this.handlePresets()
+    };
+  }
+
+  attach(bot, { queueManager }) {
+    this.bot = bot;
+    this.queueManager = queueManager;
+
+    if (config.telegram.adminIds.length === 0) {
+      console.log('⚠️ No TELEGRAM_ADMIN_IDS configured, admin commands are disabled');
+    }
+
+    this.bot.onText(/^\/(\w+)(?:@\w+)?(?:\s+([\s\S]+))?$/, async (message, match) => {
+      try {
+        await this.handleCommand(message, match[1].toLowerCase(), (match[2] || '').trim());
+      } catch (error) {
+        console.error('❌ Error handling admin command:', error);
+        await this.reply(message, `❌ Command failed: ${telegramLogger.escapeHtml(error.message)}`, 'error');
+      }
+    });
+
+    console.log('🛠️ Admin commands attached');
+  }
+
+  isAuthorized(message) {
+    if (!message.chat || !message.from) return false;
+
+    // Commands are only accepted from admins, inside the log group
+    const inLogGroup = message.chat.id.toString() === String(config.telegram.logGroupId);
+    const isAdmin = config.telegram.adminIds.includes(message.from.id.toString());
+
+    return inLogGroup && isAdmin;
+  }
+
+  async handleCommand(message, command, args) {
+    const handler = this.commands[command];
+    if (!handler) {
+      return;
+    }
+
+    if (!this.isAuthorized(message)) {
+      console.log(`🚫 Ignoring /${command} from unauthorized user ${message.from?.id} in chat ${message.chat?.id}`);
+      return;
+    }
+
+    console.log(`🛠️ Admin command /${command} from ${message.from.username || message.from.id}`);
+
+    const response = await handler(args, message);
+    if (response) {
+      await this.reply(message, response.text, response.level);
+    }
+  }
+
+  async reply(message, text, level = 'info') {
+    try {
+      await this.bot.sendMessage(message.chat.id, telegramLogger.formatLogMessage(text, level), {
+        parse_mode: 'HTML',
+        reply_to_message_id: message.message_id,
+        disable_web_page_preview: true
+      });
+    } catch (error) {
+      console.error('❌ Error replying to admin command:', error.message);
+    }
+  }
+
+  handleHelp() {
+    return {
+      text: '🛠️ <b>Admin Commands</b>\n\n' +
+            '/status — queue and storage status\n' +
+            '/queue — list pending posts\n' +
+            '/pause — stop processing the queue\n' +
+            '/resume — continue processing the queue\n' +
+            '/skip &lt;id&gt; — drop a pending post\n' +
+            '/retry &lt;id&gt; — re-queue a failed post\n' +
+            '/clear — drop all pending posts\n' +
+            '/cleanup — run the file cleanup now\n' +
+            '/testlogin [account] — check the Twitter session\n' +
+            '/unpost &lt;message link&gt; — delete the posts made from a channel post\n' +
+            '/trace &lt;post id&gt; — find the post a text watermark ID belongs to\n' +
+            '/presets — preset captions that have never been used',
+      level: 'info'
+    };
+  }
+
+  async handleStatus() {
+    const queueStatus = this.queueManager.getQueueStatus();
+    const cleanupStats = await cleanup.getCleanupStats();
+
+    let state = '🟢 Running';
+    if (queueStatus.isPaused) {
+      state = '⏸️ Paused';
+    } else if (!config.queue.enabled) {
+      state = '⚪ Disabled (posting directly)';
+    }
+
+    const text = '📊 <b>Status</b>\n\n' +
+                 `🗂️ Queue: ${state}\n` +
+                 `📥 Pending: ${queueStatus.queueLength}\n` +
+                 (config.approval.enabled ? `📝 Awaiting approval: ${approvalManager.getPendingCount()}\n` : '') +
+                 `🔄 Processing: ${queueStatus.currentJobId ? `<code>${queueStatus.currentJobId}</code>` : 'none'}\n\n` +
+                 this.formatPublishStats() +
+                 this.formatValidationStats() +
+                 `💾 Temp: ${cleanupStats.formattedSizes?.temp || 'N/A'}\n` +
+                 `💾 Output: ${cleanupStats.formattedSizes?.output || 'N/A'}\n` +
+                 `🗑️ Files deleted: ${cleanupStats.filesDeleted} (${cleanupStats.formattedSizes?.totalFreed || '0 Bytes'} freed)\n` +
+                 `⏰ Last cleanup: ${cleanupStats.lastCleanup || 'N/A'}`;
+
+    return { text, level: 'info' };
+  }
+
+  formatPublishStats() {
+    const stats = telegramLogger.getPublishStats();
+
+    const lines = config.publishers.enabled.map(name => {
+      const destination = stats[name] || { published: 0, failed: 0, lastError: null };
+      return `📣 ${name}: ${destination.published} ok, ${destination.failed} failed` +
+             (destination.lastError ? ` (last: ${telegramLogger.escapeHtml(destination.lastError.substring(0, 80))})` : '');
+    });
+
+    return lines.length > 0 ? `${lines.join('\n')}\n\n` : '';
+  }
+
+  // Model replies that didn't match their JSON schema
+  formatValidationStats() {
+    const stats = Object.entries(getValidationStats()).filter(([, record]) => record.invalid > 0);
+    if (stats.length === 0) {
+      return '';
+    }
+
+    const lines = stats.map(([name, record]) =>
+      `🧩 ${name}: ${record.invalid} invalid repl${record.invalid === 1 ? 'y' : 'ies'} in ${record.calls} call(s), ${record.repaired} repaired, ${record.failed} fell back` +
+      (record.lastError ? ` (last: ${telegramLogger.escapeHtml(record.lastError.substring(0, 80))})` : ''));
+
+    return `${lines.join('\n')}\n\n`;
+  }
+
+  handleQueue() {
+    const jobs = this.queueManager.getPendingJobs();
+
+    if (jobs.length === 0) {
+      return { text: '📭 Queue is empty', level: 'info' };
+    }
+
+    const lines = jobs.slice(0, 20).map((job, index) => {
+      const caption = (job.data.caption || '').replace(/\s+/g, ' ').substring(0, 40);
+      const age = Math.round((Date.now() - job.createdAt) / 60000);
+
+      return `${index + 1}. <code>${job.id}</code> — ${job.data.images.length} file(s), ` +
+             `${telegramLogger.escapeHtml(job.data.channelName || 'Unknown')} → ${telegramLogger.escapeHtml(job.data.accountId || routing.getDefaultAccount().id)}, ${age}m ago` +
+             (job.retries > 0 ? `, retry ${job.retries}` : '') +
+             (caption ? `\n    <i>${telegramLogger.escapeHtml(caption)}</i>` : '');
+    });
+
+    if (jobs.length > 20) {
+      lines.push(`… and ${jobs.length - 20} more`);
+    }
+
+    return { text: `📋 <b>Pending Posts (${jobs.length})</b>\n\n${lines.join('\n')}`, level: 'info' };
+  }
+
+  async handlePresets() {
+    const report = await captionBuilder.getPresetUsageReport();
+
+    if (report.total === 0) {
+      return { text: '📭 No preset captions configured', level: 'info' };
+    }
+
+    const lines = report.neverUsed.slice(0, 20).map(caption => `• ${telegramLogger.escapeHtml(caption)}`);
+    if (report.neverUsed.length > 20) {
+      lines.push(`… and ${report.neverUsed.length - 20} more`);
+    }
+
+    const text = `📝 <b>Preset Captions</b>\n\nUsed: ${report.used}/${report.total}` +
+                 (lines.length > 0 ? `\n\n<b>Never used:</b>\n${lines.join('\n')}` : '\n\n✅ Every preset has been used');
+
+    return { text, level: 'info' };
+  }
+
+  handlePause() {
+    this.queueManager.pause();
+    return { text: '⏸️ Queue paused. The post in progress (if any) will finish.', level: 'warning' };
+  }
+
+  handleResume() {
+    this.queueManager.resume();
+    return { text: '▶️ Queue resumed', level: 'success' };
+  }
+
+  async handleSkip(jobId) {
+    if (!jobId) {
+      return { text: 'Usage: /skip &lt;id&gt;', level: 'warning' };
+    }
+
+    if (this.queueManager.getQueueStatus().currentJobId === jobId) {
+      return { text: `⚠️ <code>${telegramLogger.escapeHtml(jobId)}</code> is being posted right now and can't be skipped`, level: 'warning' };
+    }
+
+    const skipped = await this.queueManager.skipJob(jobId);
+    return skipped
+      ? { text: `⏭️ Skipped <code>${telegramLogger.escapeHtml(jobId)}</code>`, level: 'success' }
+      : { text: `❓ No pending post with ID <code>${telegramLogger.escapeHtml(jobId)}</code>`, level: 'warning' };
+  }
+
+  async handleRetry(jobId) {
+    if (!jobId) {
+      return { text: 'Usage: /retry &lt;id&gt;', level: 'warning' };
+    }
+
+    const retried = await this.queueManager.retryJob(jobId);
+    return retried
+      ? { text: `🔁 Re-queued <code>${telegramLogger.escapeHtml(jobId)}</code>`, level: 'success' }
+      : { text: `❓ No failed post with ID <code>${telegramLogger.escapeHtml(jobId)}</code>`, level: 'warning' };
+  }
+
+  async handleClear() {
+    const clearedCount = await this.queueManager.clearQueue();
+    return { text: `🗑️ Cleared ${clearedCount} pending post(s) from queue`, level: 'warning' };
+  }
+
+  async handleCleanup() {
+    await cleanup.forceCleanup();
+    const stats = await cleanup.getCleanupStats();
+
+    return {
+      text: '🧹 <b>Cleanup Finished</b>\n\n' +
+            `💾 Temp: ${stats.formattedSizes?.temp || 'N/A'}\n` +
+            `💾 Output: ${stats.formattedSizes?.output || 'N/A'}\n` +
+            `🗑️ Total freed: ${stats.formattedSizes?.totalFreed || '0 Bytes'}`,
+      level: 'success'
+    };
+  }
+
+  // Accepts https://t.me/c/<internal id>/<message> and https://t.me/<username>/<message>
+  parseMessageLink(link) {
+    const privateMatch = /t\.me\/c\/(\d+)\/(?:\d+\/)?(\d+)/.exec(link);
+    if (privateMatch) {
+      return { chatId: `-100${privateMatch[1]}`, messageId: privateMatch[2] };
+    }
+
+    const publicMatch = /t\.me\/([A-Za-z0-9_]{4,})\/(\d+)/.exec(link);
+    if (publicMatch) {
+      return { username: publicMatch[1], messageId: publicMatch[2] };
+    }
+
+    return null;
+  }
+
+  async handleUnpost(link) {
+    const target = link ? this.parseMessageLink(link) : null;
+    if (!target) {
+      return { text: 'Usage: /unpost &lt;message link&gt; (e.g. https://t.me/c/1234567890/42)', level: 'warning' };
+    }
+
+    // The Bot API has no delete event, so channel deletions are mirrored by hand
+    const entries = target.chatId
+      ? await postHistory.findAllByMessage(target.chatId, target.messageId)
+      : await postHistory.findAllByChannelUsername(target.username, target.messageId);
+
+    if (entries.length === 0) {
+      return { text: '❓ Nothing was published from that channel message', level: 'warning' };
+    }
+
+    // One entry per account (or album part); a failure on one must not hide the others' results
+    const lines = [];
+    let failed = 0;
+    for (const entry of entries) {
+      const account = telegramLogger.escapeHtml(entry.accountId || routing.getDefaultAccount().id);
+      try {
+        await postPipeline.unpost(entry);
+        lines.push(`🗑️ ${account}:`, ...postHistory.getUrls(entry).map(url => telegramLogger.escapeHtml(url)));
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to unpost history entry ${entry.id}:`, error);
+        lines.push(`❌ ${account}: ${telegramLogger.escapeHtml(error.message)}`);
+      }
+    }
+
+    const deleted = entries.length - failed;
+    const level = failed === 0 ? 'success' : deleted > 0 ? 'warning' : 'error';
+    return { text: `🗑️ Deleted ${deleted}/${entries.length} published post(s):\n${lines.join('\n')}`, level };
+  }
+
+  // Finds where a leaked image came from by the {postId} in its text watermark
+  async handleTrace(markId) {
+    if (!markId) {
+      return { text: 'Usage: /trace &lt;post id&gt; (the {postId} printed in a text watermark)', level: 'warning' };
+    }
+
+    const entry = await postHistory.findByMarkId(markId);
+    if (!entry) {
+      return { text: `❓ No post with ID <code>${telegramLogger.escapeHtml(markId)}</code> in the history`, level: 'warning' };
+    }
+
+    const messageId = entry.messageIds[0];
+    const messageLink = entry.chatUsername
+      ? `https://t.me/${entry.chatUsername}/${messageId}`
+      : `https://t.me/c/${String(entry.chatId).replace(/^-100/, '')}/${messageId}`;
+    const lines = [
+      `🔎 <b>Post ${telegramLogger.escapeHtml(entry.markId)}</b>`,
+      `📢 ${telegramLogger.escapeHtml(entry.channelName || entry.chatUsername || entry.chatId)}: ${telegramLogger.escapeHtml(messageLink)}`,
+      `👤 Account: ${telegramLogger.escapeHtml(entry.accountId || routing.getDefaultAccount().id)}`,
+      `🕒 Posted ${new Date(entry.postedAt).toISOString().replace('T', ' ').slice(0, 16)} UTC${entry.deletedAt ? ' (since deleted)' : ''}`,
+      ...postHistory.getUrls(entry).map(url => `🔗 ${telegramLogger.escapeHtml(url)}`)
+    ];
+
+    return { text: lines.join('\n'), level: 'info' };
+  }
+
+  async handleTestLogin(accountId) {
+    // testLogin closes the account's browser, which would break a post in progress
+    if (this.queueManager.getQueueStatus().currentJobId) {
+      return { text: '⚠️ A post is in progress. Try again when the queue is idle (or /pause first).', level: 'warning' };
+    }
+
+    const account = accountId ? routing.getAccounts().find(item => item.id === accountId) : routing.getDefaultAccount();
+    if (!account) {
+      const known = routing.getAccounts().map(item => item.id).join(', ');
+      return { text: `❓ Unknown account <code>${telegramLogger.escapeHtml(accountId)}</code> (known: ${telegramLogger.escapeHtml(known)})`, level: 'warning' };
+    }
+
+    const success = await twitterBackend.testLogin(account.id);
+    if (success) {
+      return { text: `🔐 Twitter login test successful for ${telegramLogger.escapeHtml(account.id)} (${twitterBackend.name} backend)`, level: 'success' };
+    }
+
+    return twitterBackend.name === 'api'
+      ? { text: '🔐 X API login test failed. Check the X_API_* and X_ACCESS_TOKEN* credentials.', level: 'error' }
+      : { text: `🔐 Twitter login test failed. Re-run <code>node login.js ${telegramLogger.escapeHtml(account.id)}</code> if the session expired.`, level: 'error' };
+  }
+}
+
+module.exports = new AdminCommands();
@@ -0,0 +1,434 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const postPipeline = require('./postPipeline');
+const captionBuilder = require('./captionBuilder');
+const telegramLogger = require('./telegramLogger');
+const { ContentBlockedError } = require('./contentGuard');
+const { getMediaType, isVideo } = require('./mediaUtils');
+
+const ACTIONS = {
+  a: 'approve',
+  r: 'regenerate',
+  e: 'edit',
+  d: 'drop'
+};
+
+// Cut before escaping, so no HTML entity is split; Telegram counts entities as one character
+function shorten(text, maxLength) {
+  return telegramLogger.escapeHtml(text.length > maxLength ? `${text.slice(0, maxLength)}…` : text);
+}
+
+/**
+ * Moderation step between preparing a post and queueing it.
+ * Each prepared post is previewed in the log group with inline buttons;
+ * pending previews are persisted so they survive a restart.
+ */
+class ApprovalManager {
+  constructor() {
+    this.bot = null;
+    this.onApproved = null;
+    this.pending = new Map(); // approval ID -> record
+    this.timers = new Map(); // approval ID -> expiry timer
+    this.editPrompts = new Map(); // force-reply prompt message ID -> approval ID
+    this.storePath = config.approval.storePath;
+  }
+
+  attach(bot, { onApproved }) {
+    this.bot = bot;
+    this.onApproved = onApproved;
+
+    this.bot.on('callback_query', async (query) => {
+      try {
+        await this.handleCallbackQuery(query);
+      } catch (error) {
+        console.error('❌ Error handling approval button:', error);
+        await telegramLogger.logError(`Error handling approval button: ${error.message}`);
+      }
+    });
+
+    this.bot.on('message', async (message) => {
+      try {
+        await this.handleEditReply(message);
+      } catch (error) {
+        console.error('❌ Error handling caption edit:', error);
+        await telegramLogger.logError(`Error handling caption edit: ${error.message}`);
+      }
+    });
+
+    // Expiry timers need the bot, so they are armed only once attached
+    for (const record of this.pending.values()) {
+      this.armTimer(record);
+    }
+  }
+
+  // Loads pending previews from disk; called on startup before cleanup runs
+  async restore() {
+    try {
+      if (!await fs.pathExists(this.storePath)) {
+        return;
+      }
+
+      const records = await fs.readJson(this.storePath);
+      for (const record of records) {
+        this.pending.set(record.id, record);
+        if (record.editPromptMessageId) {
+          this.editPrompts.set(record.editPromptMessageId, record.id);
+        }
+      }
+
+      if (this.pending.size > 0) {
+        console.log(`📂 Restored ${this.pending.size} pending approval(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error restoring pending approvals:', error);
+    }
+  }
+
+  async persist() {
+    try {
+      await fs.ensureDir(path.dirname(this.storePath));
+      await fs.writeJson(this.storePath, Array.from(this.pending.values()), { spaces: 2 });
+    } catch (error) {
+      console.error('❌ Error saving pending approvals:', error);
+    }
+  }
+
+  async submit(postData) {
+    let prepared;
+
+    try {
+      prepared = await postPipeline.prepare(postData);
+    } catch (error) {
+      await postPipeline.cleanupTempImages(postData);
+      throw error;
+    }
+
+    const now = Date.now();
+    const record = {
+      id: `${now.toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+      postData: { ...postData, prepared },
+      createdAt: now,
+      expiresAt: now + config.approval.timeout,
+      previewMessageIds: [],
+      controlMessageId: null,
+      editPromptMessageId: null
+    };
+
+    try {
+      // Watermarked media exactly as it will be posted
+      record.previewMessageIds = await this.sendPreviewMedia(prepared.images);
+
+      const controlMessage = await this.bot.sendMessage(config.telegram.logGroupId, this.formatControlMessage(record), {
+        parse_mode: 'HTML',
+        reply_to_message_id: record.previewMessageIds[0],
+        reply_markup: this.buildKeyboard(record.id)
+      });
+      record.controlMessageId = controlMessage.message_id;
+    } catch (error) {
+      // Without a preview nobody can approve it, so nothing of it is kept
+      await postPipeline.discard(record.postData);
+      throw error;
+    }
+
+    this.pending.set(record.id, record);
+    this.armTimer(record);
+    await this.persist();
+
+    console.log(`📝 Post ${record.id} waiting for approval`);
+    return record.id;
+  }
+
+  async sendPreviewMedia(mediaPaths) {
+    const chatId = config.telegram.logGroupId;
+
+    // Media groups need 2-10 items, so a single file is sent on its own
+    if (mediaPaths.length === 1) {
+      const sendMethod = { photo: 'sendPhoto', video: 'sendVideo', gif: 'sendAnimation' }[getMediaType(mediaPaths[0])];
+      const message = await this.bot[sendMethod](chatId, fs.createReadStream(mediaPaths[0]));
+      return [message.message_id];
+    }
+
+    const media = mediaPaths.map(mediaPath => ({
+      type: isVideo(mediaPath) ? 'video' : 'photo',
+      media: fs.createReadStream(mediaPath)
+    }));
+    const messages = await this.bot.sendMediaGroup(chatId, media);
+    return messages.map(message => message.message_id);
+  }
+
+  buildKeyboard(approvalId) {
+    return {
+      inline_keyboard: [
+        [
+          { text: '✅ Approve', callback_data: `apv:a:${approvalId}` },
+          { text: '🔄 Regenerate caption', callback_data: `apv:r:${approvalId}` }
+        ],
+        [
+          { text: '✏️ Edit caption', callback_data: `apv:e:${approvalId}` },
+          { text: '🗑️ Drop', callback_data: `apv:d:${approvalId}` }
+        ]
+      ]
+    };
+  }
+
+  formatControlMessage(record, status = null) {
+    const { postData } = record;
+    const minutesLeft = Math.max(0, Math.round((record.expiresAt - Date.now()) / 60000));
+
+    let text = `📝 <b>Approval Needed</b> <code>${record.id}</code>\n\n` +
+               `📺 Channel: ${telegramLogger.escapeHtml(postData.channelName || 'Unknown')}\n` +
+               (postData.accountId ? `👤 Account: ${telegramLogger.escapeHtml(postData.accountId)}\n` : '') +
+               `📸 Media: ${postData.prepared.images.length}\n` +
+               (postData.prepared.language ? `🌐 Language: ${telegramLogger.escapeHtml(captionBuilder.formatLanguageDecision(postData.prepared.language))}\n` : '') +
+               (postData.duplicate ? this.formatDuplicate(postData.duplicate) : '');
+
+    if (status) {
+      text += `📌 ${status}\n`;
+    } else {
+      text += `⏳ Expires in ${minutesLeft}m (then: ${config.approval.defaultAction})\n`;
+    }
+
+    // Shortened, the message has to stay under Telegram's 4096 characters; the full caption is what gets posted
+    text += `\n<b>Caption:</b>\n${shorten(postData.prepared.caption, 2500)}`;
+
+    const altTexts = postData.prepared.images
+      .map((imagePath, index) => [index + 1, postData.prepared.altTexts?.[imagePath]])
+      .filter(([, altText]) => altText)
+      .map(([number, altText]) => `${number}. ${shorten(altText, 200)}`);
+    if (altTexts.length > 0) {
+      text += `\n\n<b>Alt text:</b>\n${altTexts.join('\n')}`;
+    }
+
+    return telegramLogger.formatLogMessage(text, status ? 'info' : 'warning');
+  }
+
+  // Near-duplicate of an earlier post (see telegramListener.findDuplicate)
+  formatDuplicate(duplicate) {
+    const postedOn = new Date(duplicate.postedAt).toISOString().slice(0, 10);
+    const link = duplicate.urls[0] ? ` ${telegramLogger.escapeHtml(duplicate.urls[0])}` : '';
+    return `♊ Possible repost: photo ${duplicate.image} matches a post from ${postedOn}${link} (${duplicate.distance}/64 bits differ)\n`;
+  }
+
+  async updateControlMessage(record, status = null) {
+    try {
+      await this.bot.editMessageText(this.formatControlMessage(record, status), {
+        chat_id: config.telegram.logGroupId,
+        message_id: record.controlMessageId,
+        parse_mode: 'HTML',
+        reply_markup: status ? undefined : this.buildKeyboard(record.id)
+      });
+    } catch (error) {
+      // Telegram rejects edits that don't change anything
+      if (!error.message.includes('message is not modified')) {
+        console.error('❌ Error updating approval message:', error.message);
+      }
+    }
+  }
+
+  isAuthorized(user) {
+    return !!user && config.telegram.adminIds.includes(user.id.toString());
+  }
+
+  async handleCallbackQuery(query) {
+    const match = /^apv:([ared]):(\w+)$/.exec(query.data || '');
+    if (!match) {
+      return;
+    }
+
+    if (!this.isAuthorized(query.from)) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'Only admins can moderate posts' });
+      return;
+    }
+
+    const action = ACTIONS[match[1]];
+    const record = this.pending.get(match[2]);
+
+    if (!record) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'This preview is no longer pending' });
+      return;
+    }
+
+    const moderator = telegramLogger.escapeHtml(query.from.username ? `@${query.from.username}` : query.from.first_name);
+    console.log(`🛠️ Approval ${record.id}: ${action} by ${moderator}`);
+
+    switch (action) {
+      case 'approve':
+        await this.bot.answerCallbackQuery(query.id, { text: 'Approved' });
+        await this.approve(record, `Approved by ${moderator}`);
+        break;
+      case 'regenerate':
+        await this.bot.answerCallbackQuery(query.id, { text: 'Regenerating caption…' });
+        await this.regenerateCaption(record);
+        break;
+      case 'edit':
+        await this.bot.answerCallbackQuery(query.id);
+        await this.requestCaptionEdit(record);
+        break;
+      case 'drop':
+        await this.bot.answerCallbackQuery(query.id, { text: 'Dropped' });
+        await this.drop(record, `Dropped by ${moderator}`);
+        break;
+    }
+  }
+
+  async approve(record, status) {
+    this.resolve(record);
+    await this.persist();
+    await this.updateControlMessage(record, `✅ ${status}`);
+
+    try {
+      await this.onApproved(record.postData);
+    } catch (error) {
+      console.error(`❌ Error queueing approved post ${record.id}:`, error);
+      await telegramLogger.logError(`Error queueing approved post ${record.id}: ${error.message}`);
+    }
+  }
+
+  async drop(record, status) {
+    this.resolve(record);
+    await this.persist();
+    await this.updateControlMessage(record, `🗑️ ${status}`);
+    await postPipeline.discard(record.postData);
+  }
+
+  async regenerateCaption(record) {
+    const { postData } = record;
+
+    try {
+      Object.assign(postData.prepared, await postPipeline.buildCaption(postData, postData.prepared.images));
+    } catch (error) {
+      if (!(error instanceof ContentBlockedError)) {
+        throw error;
+      }
+      // The preview keeps its current caption; the moderator can try again or edit it
+      await postPipeline.reportBlocked(postData, error);
+      return;
+    }
+
+    await this.persist();
+    await this.updateControlMessage(record);
+  }
+
+  async requestCaptionEdit(record) {
+    const prompt = await this.bot.sendMessage(config.telegram.logGroupId,
+      `✏️ Reply to this message with the new caption for <code>${record.id}</code>\n` +
+      'Lines like <code>alt 2: ...</code> set the alt text of an image instead', {
+        parse_mode: 'HTML',
+        reply_to_message_id: record.controlMessageId,
+        reply_markup: { force_reply: true, selective: true }
+      });
+
+    if (record.editPromptMessageId) {
+      this.editPrompts.delete(record.editPromptMessageId);
+    }
+    record.editPromptMessageId = prompt.message_id;
+    this.editPrompts.set(prompt.message_id, record.id);
+    await this.persist();
+  }
+
+  async handleEditReply(message) {
+    const promptId = message.reply_to_message?.message_id;
+    if (!promptId || !this.editPrompts.has(promptId)) {
+      return;
+    }
+
+    if (!this.isAuthorized(message.from) || !message.text) {
+      return;
+    }
+
+    const record = this.pending.get(this.editPrompts.get(promptId));
+    this.editPrompts.delete(promptId);
+
+    if (!record) {
+      return;
+    }
+
+    const { prepared } = record.postData;
+    const { caption, altTexts } = captionBuilder.extractAltText(message.text);
+
+    altTexts.forEach((altText, index) => {
+      if (prepared.images[index]) {
+        prepared.altTexts = { ...prepared.altTexts, [prepared.images[index]]: altText.slice(0, config.constants.maxAltTextLength) };
+      }
+    });
+
+    // A reply with only alt text lines keeps the caption
+    if (caption) {
+      prepared.caption = caption;
+      prepared.promptVersions = []; // Hand-written, no prompt involved
+      prepared.language = null;
+    }
+    record.editPromptMessageId = null;
+
+    await this.persist();
+    await this.updateControlMessage(record);
+    console.log(`✏️ Caption for ${record.id} edited by ${message.from.username || message.from.id}`);
+  }
+
+  armTimer(record) {
+    const delay = Math.max(0, record.expiresAt - Date.now());
+
+    const timer = setTimeout(async () => {
+      try {
+        await this.expire(record.id);
+      } catch (error) {
+        console.error(`❌ Error expiring approval ${record.id}:`, error);
+      }
+    }, delay);
+
+    this.timers.set(record.id, timer);
+  }
+
+  async expire(approvalId) {
+    const record = this.pending.get(approvalId);
+    if (!record) {
+      return;
+    }
+
+    const action = config.approval.defaultAction;
+    await telegramLogger.logWarning(`⏰ Approval <code>${record.id}</code> expired, default action: ${action}`);
+
+    if (action === 'approve') {
+      await this.approve(record, 'Approved automatically (timeout)');
+    } else {
+      await this.drop(record, 'Dropped automatically (timeout)');
+    }
+  }
+
+  resolve(record) {
+    this.pending.delete(record.id);
+
+    if (this.timers.has(record.id)) {
+      clearTimeout(this.timers.get(record.id));
+      this.timers.delete(record.id);
+    }
+
+    if (record.editPromptMessageId) {
+      this.editPrompts.delete(record.editPromptMessageId);
+    }
+  }
+
+  getReferencedFiles() {
+    const files = [];
+
+    for (const record of this.pending.values()) {
+      files.push(...record.postData.images, ...record.postData.prepared.images);
+    }
+
+    return files;
+  }
+
+  getPendingCount() {
+    return this.pending.size;
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+module.exports = new ApprovalManager();
@@ -1,17 +1,75 @@
 const fs = require('fs-extra');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const sharp = require('sharp');
 const config = require('./config');
 const hashtagFetcher = require('./hashtagFetcher');
 const hashtagFilter = require('./hashtagFilter');
+const { getTweetLength, fitTweet } = require('./tweetLength');
+const { getProvider } = require('./llm');
+const { generateStructured } = require('./llm/structured');
+const promptTemplates = require('./promptTemplates');
+const captionHistory = require('./captionHistory');
+const { detectLanguage, languageName } = require('./languageDetector');
+
+// JSON replies expected from the model
+const SCHEMAS = {
+  spiciness: {
+    type: 'object',
+    properties: { spicy: { type: 'boolean' }, reason: { type: 'string' } },
+    required: ['spicy', 'reason']
+  },
+  caption: {
+    type: 'object',
+    properties: { caption: { type: 'string', minLength: 1 } },
+    required: ['caption']
+  },
+  // Vision replies carry one alt text per image sent
+  imageCaption: (imageCount) => ({
+    type: 'object',
+    properties: { caption: { type: 'string', minLength: 1 }, alt_texts: altTextList(imageCount) },
+    required: ['caption', 'alt_texts']
+  }),
+  altTexts: (imageCount) => ({
+    type: 'object',
+    properties: { alt_texts: altTextList(imageCount) },
+    required: ['alt_texts']
+  })
+};
+
+function altTextList(imageCount) {
+  return {
+    type: 'array',
+    items: { type: 'string', minLength: 1, maxLength: config.constants.maxAltTextLength },
+    minItems: imageCount,
+    maxItems: imageCount
+  };
+}
 
 class CaptionBuilder {
-  constructor() {
-    this.genAI = new GoogleGenerativeAI(config.gemini.apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    this.visionModel = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+  // Resolved on each use so LLM_PROVIDER (or a test stub) can be swapped in
+  get llm() {
+    return getProvider();
   }
 
-  async buildCaption(originalCaption, imagePath, channelHashtags = []) {
+  /**
+   * `imagePaths` are stills of the post's media, in order (null where there
+   * is nothing to look at). options: fixedHashtags, persona and
+   * languageSettings ({ mode, target }) for the account and channel the post
+   * is for, plus channelName for the prompts. `options.details`, if given,
+   * receives the promptVersions used, the language decision and the alt
+   * texts a vision prompt wrote along with the caption.
+   */
+  async buildCaption(originalCaption, imagePaths = [], channelHashtags = [], options = {}) {
+    const { fixedHashtags = config.constants.fixedHashtags, details = {} } = options;
+    const context = {
+      persona: options.persona || null,
+      channelName: options.channelName || null,
+      language: null,
+      promptVersions: [],
+      altTexts: []
+    };
+    details.promptVersions = context.promptVersions;
+    details.altTexts = context.altTexts;
+    
     try {
       console.log('📝 Building caption...');
       
@@ -32,83 +90,255 @@ class CaptionBuilder {
       
       console.log(`📊 Content analysis: Caption=${hasCaption}, Hashtags=${hasHashtags}`);
       
+      const language = this.decideLanguage(hasCaption ? cleanCaption : '', options.languageSettings);
+      details.language = language;
+      context.language = this.getPromptLanguage(language);
+      
       if (hasCaption && hasHashtags) {
         // Scenario 1: Both caption and hashtags present
         console.log('📝 Scenario 1: Caption + Hashtags - Analyzing caption spiciness...');
-        const isSpicy = await this.analyzeCaptionSpiciness(cleanCaption);
+        const isSpicy = await this.analyzeCaptionSpiciness(cleanCaption, context);
         
         if (isSpicy) {
           console.log('🌶️ Caption is already spicy, using as-is');
           caption = cleanCaption;
         } else {
           console.log('🔥 Caption needs more spice, enhancing...');
-          caption = await this.enhanceCaptionSpiciness(cleanCaption);
+          caption = await this.enhanceCaptionSpiciness(cleanCaption, context);
         }
         
         // Build hashtags: channel hashtags + trending
-        const hashtags = await this.buildHashtags([...channelHashtags, ...originalHashtags]);
+        const hashtags = await this.buildHashtags([...channelHashtags, ...originalHashtags], fixedHashtags);
+        caption = await this.applyLanguage(caption, language, context, fixedHashtags);
         return this.combineWithHashtags(caption, hashtags);
         
       } else if (!hasCaption && hasHashtags) {
         // Scenario 2: Only hashtags, no caption
         console.log('📝 Scenario 2: Only Hashtags - Generating spicy caption...');
-        caption = await this.generateSpicyCaption(imagePath);
+        caption = await this.generateSpicyCaption(imagePaths, context);
         
         // Build hashtags: channel hashtags + trending
-        const hashtags = await this.buildHashtags([...channelHashtags, ...originalHashtags]);
+        const hashtags = await this.buildHashtags([...channelHashtags, ...originalHashtags], fixedHashtags);
+        caption = await this.applyLanguage(caption, language, context, fixedHashtags);
         return this.combineWithHashtags(caption, hashtags);
         
       } else if (hasCaption && !hasHashtags) {
         // Scenario 3: Only caption, no hashtags
         console.log('📝 Scenario 3: Only Caption - Analyzing and using trending hashtags...');
-        const isSpicy = await this.analyzeCaptionSpiciness(cleanCaption);
+        const isSpicy = await this.analyzeCaptionSpiciness(cleanCaption, context);
         
         if (isSpicy) {
           console.log('🌶️ Caption is already spicy, using as-is');
           caption = cleanCaption;
         } else {
           console.log('🔥 Caption needs more spice, enhancing...');
-          caption = await this.enhanceCaptionSpiciness(cleanCaption);
+          caption = await this.enhanceCaptionSpiciness(cleanCaption, context);
         }
         
         // Build hashtags: 100% from trending (no channel hashtags)
-        const hashtags = await this.buildHashtags([]);
+        const hashtags = await this.buildHashtags([], fixedHashtags);
+        caption = await this.applyLanguage(caption, language, context, fixedHashtags);
         return this.combineWithHashtags(caption, hashtags);
         
       } else {
         // Scenario 4: No caption, no hashtags
         console.log('📝 Scenario 4: Empty - Generating everything spicy...');
-        caption = await this.generateSpicyCaption(imagePath);
+        caption = await this.generateSpicyCaption(imagePaths, context);
         
         // Build hashtags: trending only
-        const hashtags = await this.buildHashtags([]);
+        const hashtags = await this.buildHashtags([], fixedHashtags);
+        caption = await this.applyLanguage(caption, language, context, fixedHashtags);
         return this.combineWithHashtags(caption, hashtags);
       }
       
     } catch (error) {
       console.error('❌ Error building caption:', error);
       // Fallback to basic caption
-      return this.getFallbackCaption();
+      return await this.getFallbackCaption(fixedHashtags);
     }
   }
 
-  async getRandomPresetCaption() {
+  /**
+   * Decides what happens to the caption's language. `action` is 'keep',
+   * 'translate' or 'bilingual' for a channel caption, 'generate' when a new
+   * caption is written in the target language, or 'none'.
+   */
+  decideLanguage(text, settings = {}) {
+    const { mode, target, minConfidence } = { ...config.language, ...settings };
+    const decision = { source: null, confidence: 0, mode, target, action: 'none' };
+
+    if (!text) {
+      decision.action = mode === 'original' ? 'none' : 'generate';
+    } else {
+      const detected = detectLanguage(text);
+
+      decision.source = detected.code;
+      decision.confidence = detected.confidence;
+      decision.action = mode !== 'original' && this.isForeign(detected, target, minConfidence) ? mode : 'keep';
+    }
+
+    console.log(`🌐 Language: ${this.formatLanguageDecision(decision)}`);
+    return decision;
+  }
+
+  isForeign(detected, target, minConfidence = config.language.minConfidence) {
+    return detected.code !== 'und' && detected.code !== target && detected.confidence >= minConfidence;
+  }
+
+  // Channel captions are enhanced in their own language and translated afterwards
+  getPromptLanguage(decision) {
+    if (decision.action === 'generate') {
+      return languageName(decision.target);
+    }
+
+    return decision.source && decision.source !== 'und' ? languageName(decision.source) : null;
+  }
+
+  /**
+   * Translates (or adds a translation to) the caption when the decision
+   * calls for it. A bilingual caption is only used when it still fits next
+   * to the fixed hashtags; otherwise the translation replaces the original.
+   */
+  async applyLanguage(caption, decision, context, fixedHashtags = []) {
+    // Preset and fallback captions can't be asked for a language, so check what came out
+    if (decision.action === 'generate') {
+      if (!this.isForeign(detectLanguage(caption), decision.target)) {
+        return caption;
+      }
+
+      return (await this.translateCaption(caption, decision.target, context)) || caption;
+    }
+
+    if (decision.action !== 'translate' && decision.action !== 'bilingual') {
+      return caption;
+    }
+
+    const translation = await this.translateCaption(caption, decision.target, context);
+    if (!translation) {
+      decision.action = 'keep';
+      return caption;
+    }
+
+    if (decision.action === 'bilingual') {
+      const bilingual = `${caption}\n\n${translation}`;
+      const withHashtags = [bilingual, fixedHashtags.join(' ')].filter(Boolean).join('\n\n');
+
+      if (getTweetLength(withHashtags) <= config.constants.maxCaptionLength) {
+        return bilingual;
+      }
+
+      console.log('🌐 Bilingual caption is too long, using the translation only');
+      decision.action = 'translate';
+    }
+
+    return translation;
+  }
+
+  async translateCaption(caption, target, context = {}) {
     try {
-      if (!await fs.pathExists(config.paths.presets.captions)) {
-        console.log('📝 No preset captions file found');
+      if (!this.llm.isConfigured()) {
+        console.log('⚠️ No LLM configured, leaving caption untranslated');
         return null;
       }
+
+      const prompt = await this.renderPrompt('translateCaption', context, { caption, language: languageName(target) });
+      const result = await generateStructured(this.llm, { name: 'translateCaption', prompt, schema: SCHEMAS.caption });
+      const translation = result.caption.trim();
+
+      if (translation) {
+        console.log(`🌐 Caption translated to ${languageName(target)}`);
+      }
+      return translation || null;
+
+    } catch (error) {
+      console.error('❌ Error translating caption:', error);
+      return null;
+    }
+  }
+
+  formatLanguageDecision(decision) {
+    if (!decision) {
+      return 'unknown';
+    }
+
+    const source = decision.source ? `${languageName(decision.source)} (${Math.round(decision.confidence * 100)}%)` : 'no caption';
+    const target = languageName(decision.target);
+
+    switch (decision.action) {
+      case 'translate': return `${source} → translated to ${target}`;
+      case 'bilingual': return `${source} + ${target} translation`;
+      case 'generate': return `${source}, writing in ${target}`;
+      case 'keep': return `${source}, kept as is`;
+      default: return source;
+    }
+  }
+
+  // Renders a prompt template and notes its version for the caption's history
+  async renderPrompt(name, context = {}, variables = {}) {
+    const prompt = await promptTemplates.render(name, {
+      persona: context.persona,
+      channelName: context.channelName,
+      language: context.language,
+      ...variables
+    });
+
+    if (context.promptVersions && !context.promptVersions.includes(prompt.id)) {
+      context.promptVersions.push(prompt.id);
+    }
+
+    return prompt.text;
+  }
+
+  /**
+   * Runs `generate(avoid)` again while its caption is too close to a recently
+   * published one; `avoid` lists those captions for the prompt's {{avoid}}.
+   */
+  async avoidRepetition(generate) {
+    const recent = [];
+    const formatAvoid = () => recent.map(text => `- ${text.replace(/#[\p{L}\p{N}_]+/gu, '').trim()}`).join('\n');
+    let caption = await generate(formatAvoid());
+
+    for (let attempt = 0; caption && attempt < config.captionHistory.maxRegenerations; attempt++) {
+      const similar = await captionHistory.findSimilar(caption);
+      if (!similar) {
+        break;
+      }
+
+      console.log(`♻️ Caption is ${Math.round(similar.score * 100)}% similar to a recent one, regenerating...`);
+      recent.push(similar.text);
+      caption = await generate(formatAvoid());
+    }
+
+    return caption;
+  }
+
+  async getPresetCaptions() {
+    if (!await fs.pathExists(config.paths.presets.captions)) {
+      return [];
+    }
+
+    const presets = await fs.readJson(config.paths.presets.captions);
+    return presets.captions || [];
+  }
+
+  // Which preset captions have never been picked, for /presets
+  async getPresetUsageReport() {
+    return await captionHistory.getUsageReport(await this.getPresetCaptions());
+  }
+
+  async getPresetCaption() {
+    try {
+      const captions = await this.getPresetCaptions();
       
-      const presets = await fs.readJson(config.paths.presets.captions);
-      
-      if (!presets.captions || presets.captions.length === 0) {
+      if (captions.length === 0) {
         console.log('📝 No preset captions available');
         return null;
       }
       
-      const randomCaption = presets.captions[Math.floor(Math.random() * presets.captions.length)];
+      // Least recently used first, so the same line doesn't come back to back
+      const caption = await captionHistory.pickLeastRecent(captions);
       console.log('✅ Using preset caption');
-      return randomCaption;
+      return caption;
       
     } catch (error) {
       console.error('❌ Error reading preset captions:', error);
@@ -116,42 +346,146 @@ class CaptionBuilder {
     }
   }
 
-  async generateAICaption(imagePath) {
-    try {
-      if (!config.gemini.apiKey) {
-        throw new Error('Gemini API key not configured');
+  /**
+   * Stills of the post, downscaled to LLM_VISION_MAX_SIZE to save tokens.
+   * Returns [{ path, data, mimeType }]; missing or unreadable ones are left out.
+   */
+  async loadVisionImages(imagePaths) {
+    const size = config.llm.visionMaxSize;
+    const images = [];
+
+    for (const imagePath of imagePaths) {
+      if (!imagePath) {
+        continue;
       }
-      
-      // Read image file
-      const imageBuffer = await fs.readFile(imagePath);
-      const imageBase64 = imageBuffer.toString('base64');
-      
-      const prompt = `
-Analyze this image and write a short, captivating caption for a model photo.
-It must be:
 
-- Fun, flirty, and confident
-- Celebrating curves, beauty, and femininity
-- Tasteful but bold (suggestive, not explicit)
-- 1–2 short sentences only
-- Aligned with playful, confident model aesthetics
+      try {
+        const data = await sharp(imagePath)
+          .rotate()
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toBuffer();
+        images.push({ path: imagePath, data, mimeType: 'image/jpeg' });
+      } catch (error) {
+        console.warn(`⚠️ Could not read ${imagePath} for the vision model: ${error.message}`);
+      }
+    }
 
-Return only the caption text.
+    return images;
+  }
 
-      `;
-      
-      const result = await this.visionModel.generateContent([
+  /**
+   * Caption from a vision template that sees every image of the post. The
+   * alt texts it writes along the way go to `context.altTexts`, lined up
+   * with `imagePaths`.
+   */
+  async captionFromImages(name, imagePaths, context = {}) {
+    const images = await this.loadVisionImages(imagePaths);
+    if (images.length === 0) {
+      throw new Error('No image to look at');
+    }
+
+    let altTexts = [];
+    const caption = await this.avoidRepetition(async (avoid) => {
+      const prompt = await this.renderPrompt(name, context, { avoid, ...this.albumVariables(images) });
+      const result = await generateStructured(this.llm, {
+        name,
         prompt,
-        {
-          inlineData: {
-            data: imageBase64,
-            mimeType: 'image/jpeg'
-          }
+        schema: SCHEMAS.imageCaption(images.length),
+        images: images.map(({ data, mimeType }) => ({ data, mimeType }))
+      });
+      altTexts = result.alt_texts;
+      return result.caption.trim();
+    });
+
+    if (context.altTexts) {
+      context.altTexts.splice(0, Infinity, ...this.alignToImages(imagePaths, images, altTexts));
+    }
+
+    return caption;
+  }
+
+  albumVariables(images) {
+    return { album: images.length > 1, imageCount: images.length };
+  }
+
+  // Answers for the loaded images, back in the order of `imagePaths`
+  alignToImages(imagePaths, images, answers) {
+    const byPath = new Map(images.map((image, index) => [image.path, answers[index]]));
+    return imagePaths.map(imagePath => byPath.get(imagePath)?.trim() || null);
+  }
+
+  /**
+   * Alt text for each of `imagePaths`: the one given in the channel post
+   * (`overrides`, by index), else the one the caption's vision prompt wrote
+   * (`details.altTexts`), else one from the altText prompt. null where none
+   * could be had.
+   */
+  async buildAltTexts(imagePaths, { overrides = [], details = {} } = {}) {
+    const generated = details.altTexts || [];
+    const altTexts = imagePaths.map((imagePath, index) => overrides[index] || generated[index] || null);
+    const missing = imagePaths.filter((imagePath, index) => imagePath && !altTexts[index]);
+
+    if (missing.length > 0 && this.llm.isConfigured()) {
+      try {
+        const images = await this.loadVisionImages(missing);
+        if (images.length > 0) {
+          const context = { language: this.getPromptLanguage(details.language), promptVersions: details.promptVersions };
+          const prompt = await this.renderPrompt('altText', context, this.albumVariables(images));
+          const result = await generateStructured(this.llm, {
+            name: 'altText',
+            prompt,
+            schema: SCHEMAS.altTexts(images.length),
+            images: images.map(({ data, mimeType }) => ({ data, mimeType }))
+          });
+
+          const described = this.alignToImages(imagePaths, images, result.alt_texts);
+          described.forEach((text, index) => {
+            altTexts[index] = altTexts[index] || text;
+          });
+          console.log(`🖼️ Alt text written for ${images.length} image(s)`);
         }
-      ]);
+      } catch (error) {
+        console.error('❌ Error writing alt text:', error.message);
+      }
+    }
+
+    return altTexts.map(text => (text ? text.slice(0, config.constants.maxAltTextLength) : null));
+  }
+
+  /**
+   * Takes alt text lines out of a channel caption: "alt: ..." lines describe
+   * the images in order, "alt 2: ..." a given one. Returns { caption,
+   * altTexts } with altTexts indexed by image.
+   */
+  extractAltText(caption) {
+    const altTexts = [];
+    let next = 0;
+
+    const lines = (caption || '').split(/\r?\n/).filter(line => {
+      const match = /^\s*alt\s*(\d+)?\s*:\s*(.+)$/i.exec(line);
+      if (!match) {
+        return true;
+      }
+
+      const index = match[1] ? parseInt(match[1]) - 1 : next;
+      if (index >= 0) {
+        altTexts[index] = match[2].trim();
+        next = index + 1;
+      }
+      return false;
+    });
+
+    return { caption: lines.join('\n').trim(), altTexts };
+  }
+
+  async generateAICaption(imagePaths, context = {}) {
+    try {
+      if (!this.llm.isConfigured()) {
+        throw new Error('LLM provider not configured');
+      }
       
-      const response = await result.response;
-      const caption = response.text().trim();
+      const caption = await this.captionFromImages('aiCaption', imagePaths, context);
       
       if (caption) {
         console.log('✅ AI caption generated successfully');
@@ -166,34 +500,19 @@ Return only the caption text.
     }
   }
 
-  async analyzeCaptionSpiciness(caption) {
+  async analyzeCaptionSpiciness(caption, context = {}) {
     try {
-      if (!config.gemini.apiKey) {
-        console.log('⚠️ No Gemini API key, assuming caption needs enhancement');
+      if (!this.llm.isConfigured()) {
+        console.log('⚠️ No LLM configured, assuming caption needs enhancement');
         return false;
       }
       
-      const prompt = `
-Analyze this caption and determine if it's already "nakal, liar, menggoda" (naughty, wild, seductive) enough for a model/beauty content:
-
-"${caption}"
-
-Consider if the caption is:
-- Flirty, playful, or seductive
-- Confident and bold
-- Has suggestive undertones
-- Celebrates sensuality or allure
-- Uses enticing or provocative language
-
-Respond with only "YES" if it's already spicy enough, or "NO" if it needs enhancement.
-      `;
+      const prompt = await this.renderPrompt('spicinessCheck', context, { caption });
       
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const analysis = response.text().trim().toUpperCase();
+      const analysis = await generateStructured(this.llm, { name: 'spicinessCheck', prompt, schema: SCHEMAS.spiciness });
       
-      const isSpicy = analysis.includes('YES');
-      console.log(`🌡️ Caption spiciness analysis: ${isSpicy ? 'SPICY' : 'NEEDS ENHANCEMENT'}`);
+      const isSpicy = analysis.spicy;
+      console.log(`🌡️ Caption spiciness analysis: ${isSpicy ? 'SPICY' : 'NEEDS ENHANCEMENT'} (${analysis.reason})`);
       
       return isSpicy;
       
@@ -204,32 +523,18 @@ Respond with only "YES" if it's already spicy enough, or "NO" if it needs enhanc
     }
   }
 
-  async enhanceCaptionSpiciness(originalCaption) {
+  async enhanceCaptionSpiciness(originalCaption, context = {}) {
     try {
-      if (!config.gemini.apiKey) {
-        console.log('⚠️ No Gemini API key, using original caption');
+      if (!this.llm.isConfigured()) {
+        console.log('⚠️ No LLM configured, using original caption');
         return originalCaption;
       }
       
-      const prompt = `
-Enhance this caption to make it more "nakal, liar, menggoda" (naughty, wild, seductive) while keeping it tasteful:
-
-Original: "${originalCaption}"
-
-Make it:
-- More flirty and playful
-- Confident and bold
-- Suggestive but not explicit
-- Celebrating sensuality and allure
-- Keep it 1-2 sentences maximum
-- Maintain the core message but add spice
-
-Return only the enhanced caption text.
-      `;
-      
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const enhancedCaption = response.text().trim();
+      const enhancedCaption = await this.avoidRepetition(async (avoid) => {
+        const prompt = await this.renderPrompt('enhanceCaption', context, { caption: originalCaption, avoid });
+        const result = await generateStructured(this.llm, { name: 'enhanceCaption', prompt, schema: SCHEMAS.caption });
+        return result.caption.trim();
+      });
       
       if (enhancedCaption && enhancedCaption.length > 0) {
         console.log('🔥 Caption enhanced successfully');
@@ -245,44 +550,15 @@ Return only the enhanced caption text.
     }
   }
 
-  async generateSpicyCaption(imagePath) {
+  async generateSpicyCaption(imagePaths, context = {}) {
     try {
-      if (!config.gemini.apiKey) {
-        // Fallback to preset if no API key
-        const preset = await this.getRandomPresetCaption();
-        return preset || this.getSpicyFallbackCaption();
+      if (!this.llm.isConfigured() || !imagePaths.some(Boolean)) {
+        // Fallback to preset if no API key (or nothing to look at)
+        const preset = await this.getPresetCaption();
+        return preset || await this.getSpicyFallbackCaption();
       }
       
-      // Read image file
-      const imageBuffer = await fs.readFile(imagePath);
-      const imageBase64 = imageBuffer.toString('base64');
-      
-      const prompt = `
-Analyze this image and create a "nakal, liar, menggoda" (naughty, wild, seductive) caption for a model photo.
-
-The caption must be:
-- Flirty, playful, and seductive
-- Confident and bold
-- Suggestive but tasteful (not explicit)
-- Celebrating curves, sensuality, and allure
-- 1-2 short sentences only
-- Perfect for social media model content
-
-Return only the spicy caption text.
-      `;
-      
-      const result = await this.visionModel.generateContent([
-        prompt,
-        {
-          inlineData: {
-            data: imageBase64,
-            mimeType: 'image/jpeg'
-          }
-        }
-      ]);
-      
-      const response = await result.response;
-      const caption = response.text().trim();
+      const caption = await this.captionFromImages('spicyCaption', imagePaths, context);
       
       if (caption) {
         console.log('🔥 Spicy AI caption generated successfully');
@@ -294,12 +570,12 @@ Return only the spicy caption text.
     } catch (error) {
       console.error('❌ Error generating spicy caption:', error);
       // Fallback to preset or default spicy caption
-      const preset = await this.getRandomPresetCaption();
-      return preset || this.getSpicyFallbackCaption();
+      const preset = await this.getPresetCaption();
+      return preset || await this.getSpicyFallbackCaption();
     }
   }
 
-  getSpicyFallbackCaption() {
+  async getSpicyFallbackCaption() {
     const spicyFallbacks = [
       'Curves that speak louder than words 🔥',
       'Confidence is my best accessory 💋',
@@ -311,10 +587,10 @@ Return only the spicy caption text.
       'Elegance with a hint of mischief 😏'
     ];
     
-    return spicyFallbacks[Math.floor(Math.random() * spicyFallbacks.length)];
+    return await captionHistory.pickLeastRecent(spicyFallbacks);
   }
 
-  async buildHashtags(channelHashtags = []) {
+  async buildHashtags(channelHashtags = [], fixedHashtags = config.constants.fixedHashtags) {
     try {
       console.log('🏷️ Building hashtags...');
       
@@ -330,7 +606,7 @@ Return only the spicy caption text.
       // Prioritize channel hashtags, then combine with others
       const allHashtags = [...new Set([
         ...channelHashtags,              // Channel hashtags have highest priority
-        ...config.constants.fixedHashtags, // Always include fixed
+        ...fixedHashtags,                // Always include fixed
         ...filteredHashtags.slice(0, 6), // Reduced trending to make room for channel hashtags
         ...presetHashtags.slice(0, 4)    // Reduced preset to make room for channel hashtags
       ])];
@@ -351,7 +627,7 @@ Return only the spicy caption text.
       // Return fallback hashtags including channel hashtags
       return [
         ...channelHashtags,
-        ...config.constants.fixedHashtags,
+        ...fixedHashtags,
         '#aesthetic',
         '#beauty',
         '#model',
@@ -376,19 +652,11 @@ Return only the spicy caption text.
   }
 
   combineWithHashtags(caption, hashtags) {
-    // Ensure caption doesn't exceed Twitter limit with hashtags
-    const hashtagString = hashtags.join(' ');
-    const maxCaptionLength = config.constants.maxCaptionLength - hashtagString.length - 2; // -2 for spacing
-    
-    let finalCaption = caption;
-    if (finalCaption.length > maxCaptionLength) {
-      finalCaption = finalCaption.substring(0, maxCaptionLength - 3) + '...';
-    }
-    
-    return `${finalCaption}\n\n${hashtagString}`;
+    // Weighted like X counts it; hashtags are dropped before the caption is cut
+    return fitTweet(caption, hashtags, config.constants.maxCaptionLength);
   }
 
-  getFallbackCaption() {
+  async getFallbackCaption(fixedHashtags = config.constants.fixedHashtags) {
     const fallbacks = [
       'Embracing the art of beauty and elegance ✨',
       'Where curves meet artistry 🎨',
@@ -397,34 +665,15 @@ Return only the spicy caption text.
       'Artistic expression through elegance 🖼️'
     ];
     
-    const randomFallback = fallbacks[Math.floor(Math.random() * fallbacks.length)];
+    const fallback = await captionHistory.pickLeastRecent(fallbacks);
     const hashtags = [
-      ...config.constants.fixedHashtags,
+      ...fixedHashtags,
       '#aesthetic',
       '#beauty',
       '#art'
     ];
     
-    return this.combineWithHashtags(randomFallback, hashtags);
-  }
-
-  async validateCaption(caption) {
-    // Check length
-    if (caption.length > config.constants.maxCaptionLength) {
-      return false;
-    }
-    
-    // Check for inappropriate content (basic check)
-    const inappropriateWords = ['explicit', 'nsfw', 'xxx']; // Add more as needed
-    const lowerCaption = caption.toLowerCase();
-    
-    for (const word of inappropriateWords) {
-      if (lowerCaption.includes(word)) {
-        return false;
-      }
-    }
-    
-    return true;
+    return this.combineWithHashtags(fallback, hashtags);
   }
 }
 
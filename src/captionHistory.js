@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Remembers recently published captions and when each preset caption was
+ * last picked, so presets rotate least-recently-used first and AI captions
+ * that repeat a recent one can be regenerated.
+ */
+class CaptionHistory {
+  constructor() {
+    this.filePath = config.captionHistory.path;
+    this.maxEntries = config.captionHistory.maxEntries;
+    this.data = null; // { captions: [{ text, accountId, postedAt }], presets: { text: lastUsedAt } }
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    try {
+      this.data = await fs.pathExists(this.filePath) ? await fs.readJson(this.filePath) : {};
+    } catch (error) {
+      console.error('❌ Error loading caption history:', error);
+      this.data = {};
+    }
+
+    this.data.captions = this.data.captions || [];
+    this.data.presets = this.data.presets || {};
+    return this.data;
+  }
+
+  save() {
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(tempPath, this.data, { spaces: 2 });
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+      })
+      .catch(error => {
+        console.error('❌ Error saving caption history:', error);
+      });
+
+    return this.writeChain;
+  }
+
+  async record(text, { accountId = null } = {}) {
+    const data = await this.load();
+
+    data.captions.push({ text, accountId, postedAt: Date.now() });
+    if (data.captions.length > this.maxEntries) {
+      data.captions.splice(0, data.captions.length - this.maxEntries);
+    }
+
+    await this.save();
+  }
+
+  async getRecent() {
+    const data = await this.load();
+    return data.captions.slice().reverse();
+  }
+
+  /**
+   * Picks from `pool` the entry that was used longest ago (never-used ones
+   * first, randomly among equals) and marks it as used now.
+   */
+  async pickLeastRecent(pool) {
+    if (!pool || pool.length === 0) {
+      return null;
+    }
+
+    const data = await this.load();
+    const lastUsed = (text) => data.presets[text] || 0;
+    const oldest = Math.min(...pool.map(lastUsed));
+    const candidates = pool.filter(text => lastUsed(text) === oldest);
+    const picked = candidates[Math.floor(Math.random() * candidates.length)];
+
+    data.presets[picked] = Date.now();
+    await this.save();
+    return picked;
+  }
+
+  // Usage of a preset pool: how many were ever picked and which never were
+  async getUsageReport(pool) {
+    const data = await this.load();
+    const neverUsed = pool.filter(text => !data.presets[text]);
+
+    return { total: pool.length, used: pool.length - neverUsed.length, neverUsed };
+  }
+
+  /**
+   * The recent caption most similar to `text`, if any is at or above the
+   * similarity threshold. Returns { text, score } or null.
+   */
+  async findSimilar(text, threshold = config.captionHistory.similarityThreshold) {
+    let best = null;
+
+    for (const entry of await this.getRecent()) {
+      const score = this.similarity(text, entry.text);
+      if (score >= threshold && (!best || score > best.score)) {
+        best = { text: entry.text, score };
+      }
+    }
+
+    return best;
+  }
+
+  similarity(a, b) {
+    return similarity(a, b);
+  }
+}
+
+// Lowercased words, without hashtags, links, emoji or punctuation
+function normalizeWords(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/#[\p{L}\p{N}_]+/gu, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function ngrams(words, size) {
+  if (words.length < size) {
+    return new Set(words.length > 0 ? [words.join(' ')] : []);
+  }
+
+  const grams = new Set();
+  for (let i = 0; i <= words.length - size; i++) {
+    grams.add(words.slice(i, i + size).join(' '));
+  }
+  return grams;
+}
+
+/**
+ * Word-bigram overlap between two captions, from 0 to 1. Divided by the
+ * smaller set, so a short caption reused inside a longer one still scores 1.
+ */
+function similarity(a, b) {
+  const gramsA = ngrams(normalizeWords(a), 2);
+  const gramsB = ngrams(normalizeWords(b), 2);
+
+  if (gramsA.size === 0 || gramsB.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const gram of gramsA) {
+    if (gramsB.has(gram)) shared++;
+  }
+
+  return shared / Math.min(gramsA.size, gramsB.size);
+}
+
+module.exports = new CaptionHistory();
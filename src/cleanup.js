@@ -1,10 +1,12 @@
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('./config');
+const watermarkCache = require('./watermarkCache');
 
 class Cleanup {
   constructor() {
     this.cleanupInterval = null;
+    this.protectedPathProviders = [];
     this.stats = {
       filesDeleted: 0,
       totalSizeFreed: 0,
@@ -34,10 +36,33 @@ class Cleanup {
     }
   }
 
+  // Register a function returning file paths that must survive cleanup
+  // (e.g. images still referenced by queued jobs)
+  addProtectedPaths(provider) {
+    this.protectedPathProviders.push(provider);
+  }
+
+  getProtectedPaths() {
+    const protectedPaths = new Set();
+    
+    for (const provider of this.protectedPathProviders) {
+      try {
+        for (const filePath of provider() || []) {
+          protectedPaths.add(path.resolve(filePath));
+        }
+      } catch (error) {
+        console.error('❌ Error collecting protected paths:', error);
+      }
+    }
+    
+    return protectedPaths;
+  }
+
   async ensureDirectories() {
     const directories = [
       config.paths.temp,
       config.paths.output,
+      config.paths.data,
       path.dirname(config.paths.cookies),
       path.dirname(config.paths.watermark)
     ];
@@ -68,6 +93,9 @@ class Cleanup {
         keepRecent: 5 // Keep 5 most recent files
       });
       
+      // Expire cached watermarked outputs; the ones left are skipped below
+      await watermarkCache.prune();
+      
       // Clean output directory
       const outputStats = await this.cleanDirectory(config.paths.output, {
         maxAge: 6 * 60 * 60 * 1000, // 6 hours
@@ -140,6 +168,7 @@ class Cleanup {
       const filesToDelete = [];
       const maxAge = options.maxAge || 24 * 60 * 60 * 1000; // Default 24 hours
       const keepRecent = options.keepRecent || 0;
+      const protectedPaths = this.getProtectedPaths();
       
       for (let i = 0; i < fileStats.length; i++) {
         const file = fileStats[i];
@@ -149,6 +178,11 @@ class Cleanup {
           continue;
         }
         
+        // Never delete files that pending work still needs
+        if (protectedPaths.has(path.resolve(file.path))) {
+          continue;
+        }
+        
         // Delete files older than maxAge
         if (file.age > maxAge) {
           filesToDelete.push(file);
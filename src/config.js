@@ -1,12 +1,24 @@
 const path = require('path');
 
+// Model and server used when LLM_MODEL / LLM_BASE_URL are not set
+const LLM_DEFAULTS = {
+  gemini: { model: 'gemini-1.5-flash' },
+  openai: { model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1' },
+  ollama: { model: 'llava', baseUrl: 'http://localhost:11434' },
+  stub: { model: 'stub' },
+};
+const llmProvider = process.env.LLM_PROVIDER || 'gemini';
+const llmDefaults = LLM_DEFAULTS[llmProvider] || {};
+
 module.exports = {
   // Telegram Configuration
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
     channelId: process.env.TELEGRAM_CHANNEL_ID,
     logGroupId: process.env.TELEGRAM_LOG_GROUP_ID,
-    allowedChannels: [process.env.TELEGRAM_CHANNEL_ID], // Array of allowed channel IDs
+    allowedChannels: [process.env.TELEGRAM_CHANNEL_ID], // Used when there is no routing file
+    editMode: ['delete', 'repost'].includes(process.env.TELEGRAM_EDIT_MODE) ? process.env.TELEGRAM_EDIT_MODE : 'ignore', // What to do with the tweet when a channel post is edited
+    adminIds: (process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean), // User IDs allowed to run bot commands
   },
   
   // Twitter Configuration
@@ -15,6 +27,56 @@ module.exports = {
     password: process.env.TWITTER_PASSWORD,
     maxRetries: parseInt(process.env.TWITTER_MAX_RETRIES) || 2,
     retryDelay: parseInt(process.env.TWITTER_RETRY_DELAY) || 5000,
+    videoProcessingTimeout: parseInt(process.env.TWITTER_VIDEO_PROCESSING_TIMEOUT) || 5 * 60 * 1000, // Wait for X to finish processing uploaded videos
+    backend: process.env.TWITTER_BACKEND === 'api' ? 'api' : 'browser', // 'browser' (Puppeteer) or 'api' (X API v2)
+    fallbackOn: (process.env.TWITTER_FALLBACK_ON ?? 'auth,rate_limit,server,network').split(',').map(type => type.trim()).filter(Boolean), // API error types retried with the browser
+  },
+  
+  // X API v2 (OAuth 1.0a user context)
+  xApi: {
+    apiKey: process.env.X_API_KEY,
+    apiSecret: process.env.X_API_SECRET,
+    accessToken: process.env.X_ACCESS_TOKEN,
+    accessTokenSecret: process.env.X_ACCESS_TOKEN_SECRET,
+    apiBaseUrl: process.env.X_API_BASE_URL || 'https://api.x.com', // Override to point at a mock server
+    uploadBaseUrl: process.env.X_UPLOAD_BASE_URL || 'https://upload.twitter.com',
+    chunkSize: parseInt(process.env.X_UPLOAD_CHUNK_SIZE) || 4 * 1024 * 1024, // Bytes per APPEND segment
+    timeout: parseInt(process.env.X_API_TIMEOUT) || 60000,
+  },
+  
+  // Publishing destinations; every Telegram post fans out to all enabled ones
+  publishers: {
+    enabled: (process.env.PUBLISHERS || 'x').split(',').map(name => name.trim().toLowerCase()).filter(Boolean), // x, mastodon, bluesky, telegram
+  },
+  
+  // Mastodon
+  mastodon: {
+    instanceUrl: (process.env.MASTODON_INSTANCE_URL || '').replace(/\/+$/, ''), // e.g. https://mastodon.social
+    accessToken: process.env.MASTODON_ACCESS_TOKEN,
+    visibility: process.env.MASTODON_VISIBILITY || 'public',
+    sensitive: process.env.MASTODON_SENSITIVE === 'true', // Mark media as sensitive
+    maxLength: parseInt(process.env.MASTODON_MAX_LENGTH) || 500, // Instances can raise the default limit
+    hashtags: process.env.MASTODON_HASHTAGS === 'strip' ? 'strip' : 'keep', // 'keep' or 'strip' hashtags from captions
+    mediaProcessingTimeout: 2 * 60 * 1000,
+  },
+  
+  // Bluesky (AT Protocol)
+  bluesky: {
+    serviceUrl: (process.env.BLUESKY_SERVICE_URL || 'https://bsky.social').replace(/\/+$/, ''),
+    identifier: process.env.BLUESKY_IDENTIFIER, // Handle or email
+    appPassword: process.env.BLUESKY_APP_PASSWORD,
+    maxLength: 300, // Graphemes
+    hashtags: process.env.BLUESKY_HASHTAGS === 'strip' ? 'strip' : 'keep', // 'keep' (as tag links) or 'strip'
+    maxBlobSize: 1000000, // Bytes per image
+  },
+  
+  // Mirror of published posts into another Telegram channel
+  telegramMirror: {
+    channelId: process.env.TELEGRAM_MIRROR_CHANNEL_ID,
+    botToken: process.env.TELEGRAM_MIRROR_BOT_TOKEN || process.env.TELEGRAM_BOT_TOKEN,
+    apiBaseUrl: process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org',
+    maxLength: 1024, // Media caption limit
+    hashtags: process.env.TELEGRAM_MIRROR_HASHTAGS === 'strip' ? 'strip' : 'keep', // 'keep' or 'strip'
   },
   
   // Google Gemini API
@@ -22,21 +84,122 @@ module.exports = {
     apiKey: process.env.GEMINI_API_KEY,
   },
   
+  // Language model used for captions and hashtag filtering
+  llm: {
+    provider: llmProvider, // 'gemini', 'openai' (any OpenAI-compatible server), 'ollama' or 'stub'
+    model: process.env.LLM_MODEL || llmDefaults.model,
+    visionModel: process.env.LLM_VISION_MODEL || process.env.LLM_MODEL || llmDefaults.model,
+    apiKey: process.env.LLM_API_KEY || (llmProvider === 'gemini' ? process.env.GEMINI_API_KEY : undefined),
+    baseUrl: (process.env.LLM_BASE_URL || llmDefaults.baseUrl || '').replace(/\/$/, ''),
+    temperature: process.env.LLM_TEMPERATURE ? parseFloat(process.env.LLM_TEMPERATURE) : null, // null = provider default
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 256,
+    timeout: parseInt(process.env.LLM_TIMEOUT) || 30000,
+    jsonRetries: process.env.LLM_JSON_RETRIES ? parseInt(process.env.LLM_JSON_RETRIES) : 2, // Repair attempts when a reply doesn't match its JSON schema
+    visionMaxSize: parseInt(process.env.LLM_VISION_MAX_SIZE) || 768, // Images are downscaled to fit this many pixels before they are sent
+  },
+  
   // Application Settings
   app: {
     watermarkOpacity: parseFloat(process.env.WATERMARK_OPACITY) || 0.3,
     watermarkSize: parseFloat(process.env.WATERMARK_SIZE) || 0.35, // 35% of image width
     maxImagesPerPost: parseInt(process.env.MAX_IMAGES_PER_POST) || 4,
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg', // Used to watermark videos; skipped when not installed
     tempCleanupEnabled: process.env.TEMP_CLEANUP_ENABLED === 'true',
     logLevel: process.env.LOG_LEVEL || 'info',
   },
   
+  // Photos are normalized to fit these before watermarking and upload
+  images: {
+    maxBytes: parseInt(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024, // X's photo limit
+    maxDimension: parseInt(process.env.IMAGE_MAX_DIMENSION) || 4096, // Longest side, in pixels
+  },
+  
+  // How watermarked photos are encoded
+  encoding: {
+    format: process.env.WATERMARK_OUTPUT_FORMAT || 'source', // 'source' (JPEG stays JPEG, PNG stays PNG), 'jpeg', 'webp' or 'png'
+    quality: process.env.WATERMARK_OUTPUT_QUALITY && process.env.WATERMARK_OUTPUT_QUALITY !== 'source' ? parseInt(process.env.WATERMARK_OUTPUT_QUALITY) : 'source', // 'source' matches a JPEG source's quality (90 otherwise)
+    minQuality: parseInt(process.env.WATERMARK_OUTPUT_MIN_QUALITY) || 60, // Lowest quality tried to fit maxBytes before downscaling
+    chromaSubsampling: process.env.WATERMARK_CHROMA_SUBSAMPLING || '4:2:0', // JPEG; '4:4:4' keeps colored edges sharp at a larger size
+    mozjpeg: process.env.WATERMARK_MOZJPEG !== 'false', // Smaller JPEGs at the same quality, slower to encode
+    maxBytes: parseInt(process.env.WATERMARK_OUTPUT_MAX_BYTES) || null, // null = IMAGE_MAX_BYTES
+  },
+  
+  // Watermarked outputs, reused across posts of the same source file
+  watermarkCache: {
+    path: path.resolve(__dirname, '..', 'data', 'watermark-cache.json'),
+    ttl: (parseFloat(process.env.WATERMARK_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000, // Unreferenced outputs are kept this long after their last use
+    maxHold: (parseFloat(process.env.WATERMARK_CACHE_MAX_HOLD_DAYS) || 7) * 24 * 60 * 60 * 1000, // References of posts never published or discarded expire after this
+  },
+  
+  // Invisible payload (post ID, account, time) hidden in watermarked photos; see verifyWatermark.js
+  forensic: {
+    enabled: process.env.FORENSIC_WATERMARK_ENABLED === 'true',
+    key: process.env.FORENSIC_WATERMARK_KEY, // Required when enabled; needed to read the payload back, keep it private
+    strength: parseFloat(process.env.FORENSIC_WATERMARK_STRENGTH) || 24, // Quantization step; higher survives more recompression but shows more
+  },
+  
+  // Where the logo goes; routes and accounts can override any of these with `watermarkPlacement`
+  watermark: {
+    content: process.env.WATERMARK_CONTENT || 'logo', // 'logo', 'text' or 'both' (logo above the text)
+    text: process.env.WATERMARK_TEXT || '@{account} · {postId}', // Fields: {account}, {channel}, {date}, {postId}
+    font: process.env.WATERMARK_FONT || 'Arial, sans-serif',
+    textSize: parseFloat(process.env.WATERMARK_TEXT_SIZE) || 0.03, // Font size, as a fraction of the image width
+    textColor: process.env.WATERMARK_TEXT_COLOR || '#ffffff',
+    textStroke: process.env.WATERMARK_TEXT_STROKE ?? '#000000', // Outline color; empty for none
+    textShadow: process.env.WATERMARK_TEXT_SHADOW !== 'false',
+    mode: process.env.WATERMARK_MODE || 'anchor', // 'anchor', 'tiled', 'diagonal', 'random' or 'smart'
+    position: process.env.WATERMARK_POSITION || 'center', // Anchor mode: top-left, top, top-right, left, center, right, bottom-left, bottom, bottom-right
+    margin: process.env.WATERMARK_MARGIN ? parseFloat(process.env.WATERMARK_MARGIN) : 0.03, // Fraction of the shorter side kept clear around the logo
+    angle: process.env.WATERMARK_ANGLE ? parseFloat(process.env.WATERMARK_ANGLE) : -30, // Tiled mode: pattern rotation in degrees
+    spacing: process.env.WATERMARK_SPACING ? parseFloat(process.env.WATERMARK_SPACING) : 0.5, // Tiled and diagonal modes: gap between logos, as a fraction of the logo's size
+    targetContrast: parseFloat(process.env.WATERMARK_TARGET_CONTRAST) || 0.15, // Smart mode: how far the faded logo stands out from what's under it, 0-1
+    maxOpacity: parseFloat(process.env.WATERMARK_MAX_OPACITY) || 0.6, // Smart mode: opacity never goes above this
+  },
+  
   // Queue Management
   queue: {
     postDelay: parseInt(process.env.QUEUE_POST_DELAY) || 20000, // 20 seconds between posts
     maxRetries: parseInt(process.env.QUEUE_MAX_RETRIES) || 2,
     retryDelay: parseInt(process.env.QUEUE_RETRY_DELAY) || 5000,
     enabled: process.env.QUEUE_ENABLED !== 'false', // Default enabled
+    historyLimit: parseInt(process.env.QUEUE_HISTORY_LIMIT) || 50, // Finished jobs kept in the journal
+    compactAfter: parseInt(process.env.QUEUE_COMPACT_AFTER) || 500, // Journal lines appended before it is rewritten
+    journalPath: path.resolve(__dirname, '..', 'data', 'queue.jsonl'),
+  },
+  
+  // Approval Workflow
+  approval: {
+    enabled: process.env.APPROVAL_ENABLED === 'true', // Preview posts in the log group before tweeting
+    timeout: parseInt(process.env.APPROVAL_TIMEOUT) || 60 * 60 * 1000, // 1 hour to answer a preview
+    defaultAction: process.env.APPROVAL_DEFAULT_ACTION === 'approve' ? 'approve' : 'drop', // Applied on timeout
+    storePath: path.resolve(__dirname, '..', 'data', 'approvals.json'),
+  },
+  
+  // Channel → account routing (see README); optional
+  routing: {
+    path: path.resolve(__dirname, '..', process.env.ROUTING_CONFIG || 'routing.json'),
+  },
+  
+  // Published post history (Telegram message -> tweet mapping)
+  postHistory: {
+    path: path.resolve(__dirname, '..', 'data', 'posts.json'),
+    maxEntries: parseInt(process.env.POST_HISTORY_LIMIT) || 1000,
+  },
+  
+  // Photos that look like one an account already posted (perceptual hash)
+  duplicates: {
+    enabled: process.env.DUPLICATE_DETECTION_ENABLED !== 'false',
+    policy: ['skip', 'post'].includes(process.env.DUPLICATE_POLICY) ? process.env.DUPLICATE_POLICY : 'ask', // 'skip', 'post' (anyway) or 'ask' (preview in the log group, like APPROVAL_ENABLED)
+    threshold: process.env.DUPLICATE_HASH_THRESHOLD ? parseInt(process.env.DUPLICATE_HASH_THRESHOLD) : 10, // Differing bits out of 64 still counted as the same photo
+    window: (parseFloat(process.env.DUPLICATE_WINDOW_DAYS) || 90) * 24 * 60 * 60 * 1000, // Only posts this recent are compared
+  },
+  
+  // Recent captions and preset usage, to avoid repeating ourselves
+  captionHistory: {
+    path: path.resolve(__dirname, '..', 'data', 'captions.json'),
+    maxEntries: parseInt(process.env.CAPTION_HISTORY_LIMIT) || 50,
+    similarityThreshold: parseFloat(process.env.CAPTION_SIMILARITY_THRESHOLD) || 0.6, // 0-1 word-bigram overlap
+    maxRegenerations: process.env.CAPTION_MAX_REGENERATIONS ? parseInt(process.env.CAPTION_MAX_REGENERATIONS) : 2, // AI retries when a caption is too close to a recent one
   },
   
   // Paths
@@ -44,11 +207,14 @@ module.exports = {
     root: path.resolve(__dirname, '..'),
     temp: path.resolve(__dirname, '..', 'temp'),
     output: path.resolve(__dirname, '..', 'output'),
+    data: path.resolve(__dirname, '..', 'data'),
     watermark: path.resolve(__dirname, '..', 'watermark', 'museofcurves.png'),
     cookies: path.resolve(__dirname, '..', 'cookies', 'session.json'),
     presets: {
       captions: path.resolve(__dirname, '..', 'presets', 'captions.json'),
       hashtags: path.resolve(__dirname, '..', 'presets', 'hashtags.json'),
+      prompts: process.env.PROMPTS_DIR ? path.resolve(process.env.PROMPTS_DIR) : path.resolve(__dirname, '..', 'presets', 'prompts'),
+      bannedTerms: process.env.BANNED_TERMS_PATH ? path.resolve(process.env.BANNED_TERMS_PATH) : path.resolve(__dirname, '..', 'presets', 'bannedTerms.json'),
     },
   },
   
@@ -60,10 +226,25 @@ module.exports = {
   
   // Constants
   constants: {
-    fixedHashtags: ['#MuseOfCurves'],
+    fixedHashtags: ['#MuseOfCurves'], // Default account only; routed accounts set their own
     supportedImageTypes: ['.jpg', '.jpeg', '.png', '.webp'],
-    maxCaptionLength: 280,
-    watermarkPosition: 'center',
+    supportedVideoTypes: ['.mp4', '.mov', '.m4v'],
+    maxCaptionLength: parseInt(process.env.TWITTER_MAX_CAPTION_LENGTH) || 280, // Weighted; 25000 with X Premium
+    maxAltTextLength: 1000, // X's limit; Mastodon and Bluesky allow more
     twitterLocation: 'United States',
   },
+  
+  // What to do when a channel caption isn't in the audience's language; routes and accounts can override
+  language: {
+    mode: ['translate', 'bilingual'].includes(process.env.CAPTION_LANGUAGE_MODE) ? process.env.CAPTION_LANGUAGE_MODE : 'original', // 'original', 'translate' or 'bilingual'
+    target: process.env.CAPTION_TARGET_LANGUAGE || 'en',
+    minConfidence: parseFloat(process.env.CAPTION_LANGUAGE_MIN_CONFIDENCE) || 0.3, // Below this the caption is left as is
+  },
+  
+  // Last check on every caption before it is posted
+  contentGuard: {
+    enabled: process.env.CONTENT_GUARD_ENABLED !== 'false',
+    policyCheck: process.env.CONTENT_POLICY_CHECK !== 'false', // Ask the LLM to review the final caption
+    failClosed: process.env.CONTENT_POLICY_FAIL_CLOSED === 'true', // Block, instead of post, when the policy check itself fails
+  },
 };
\ No newline at end of file
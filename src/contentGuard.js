@@ -0,0 +1,199 @@
+const fs = require('fs-extra');
+const config = require('./config');
+const { getProvider } = require('./llm');
+const { generateStructured } = require('./llm/structured');
+const promptTemplates = require('./promptTemplates');
+
+const POLICY_SCHEMA = {
+  type: 'object',
+  properties: { allowed: { type: 'boolean' }, reason: { type: 'string' } },
+  required: ['allowed', 'reason']
+};
+
+// Cyrillic and Greek letters that look like Latin ones
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+  'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w'
+};
+
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+const INVISIBLE = /[\u00ad\u180e\u200b-\u200f\u2060-\u2064\ufeff]/g; // Soft hyphen, zero-width and direction marks
+
+/**
+ * Thrown when a caption must not be posted. Not worth retrying: the same
+ * caption would be blocked again.
+ */
+class ContentBlockedError extends Error {
+  constructor(reason, { rule = null, caption = null } = {}) {
+    super(`Caption blocked: ${reason}`);
+    this.name = 'ContentBlockedError';
+    this.reason = reason;
+    this.rule = rule;
+    this.caption = caption;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Last check on a caption before it is posted: the banned-terms list from
+ * presets/bannedTerms.json, then a model-based policy review. Terms are
+ * matched after folding look-alike letters, accents, invisible characters
+ * and leetspeak, so "n$fw" or "nѕfw" (Cyrillic ѕ) still count as "nsfw".
+ */
+class ContentGuard {
+  constructor() {
+    this.rules = null;
+    this.rulesMtimeMs = null;
+  }
+
+  // { terms: [{ term, folded, squashed }], patterns: [{ source, regex }] }; re-read when the file changes
+  async loadRules() {
+    const filePath = config.paths.presets.bannedTerms;
+    const stat = await fs.stat(filePath).catch(() => null);
+
+    if (!stat) {
+      return { terms: [], patterns: [] };
+    }
+
+    if (this.rules && this.rulesMtimeMs === stat.mtimeMs) {
+      return this.rules;
+    }
+
+    let list = {};
+    try {
+      list = await fs.readJson(filePath);
+    } catch (error) {
+      console.error('❌ Error reading banned terms:', error.message);
+    }
+
+    const terms = (list.terms || []).map(term => ({
+      term,
+      folded: this.fold(term),
+      squashed: squashWords(this.fold(term)).join('')
+    }));
+
+    const patterns = [];
+    for (const source of list.patterns || []) {
+      try {
+        patterns.push({ source, regex: new RegExp(source, 'iu') });
+      } catch (error) {
+        console.warn(`⚠️ Skipping invalid banned pattern ${source}: ${error.message}`);
+      }
+    }
+
+    this.rules = { terms, patterns };
+    this.rulesMtimeMs = stat.mtimeMs;
+    return this.rules;
+  }
+
+  // Lowercase Latin-looking text: compatibility forms, accents, homoglyphs and invisible characters folded away
+  fold(text) {
+    return (text || '')
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .replace(INVISIBLE, '')
+      .toLowerCase()
+      .replace(/./gu, char => CONFUSABLES[char] || char);
+  }
+
+  /**
+   * The first banned term or pattern in `text`, as { rule, match }, or
+   * null. Terms match as whole words, also with leetspeak undone; terms of
+   * four letters or more also match when spelled out ("n.s.f.w", "n s f w")
+   * or stretched ("nsssfw").
+   */
+  async findBanned(text) {
+    const { terms, patterns } = await this.loadRules();
+    const folded = this.fold(text);
+    const unleeted = folded.replace(/[013457@$!]/g, char => LEET[char]);
+    const words = new Set(squashWords(unleeted));
+
+    for (const { term, folded: foldedTerm, squashed } of terms) {
+      const word = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(foldedTerm)}(?![\\p{L}\\p{N}])`, 'u');
+      if (word.test(folded) || word.test(unleeted) || (foldedTerm.length >= 4 && words.has(squashed))) {
+        return { rule: `term "${term}"`, match: term };
+      }
+    }
+
+    for (const { source, regex } of patterns) {
+      const match = regex.exec(folded);
+      if (match) {
+        return { rule: `pattern /${source}/`, match: match[0] };
+      }
+    }
+
+    return null;
+  }
+
+  // Asks the model whether the caption may be posted; null when the check is off or no model is configured
+  async checkPolicy(caption) {
+    const llm = getProvider();
+    if (!config.contentGuard.policyCheck || !llm.isConfigured()) {
+      return null;
+    }
+
+    const prompt = await promptTemplates.render('policyCheck', { caption });
+    return await generateStructured(llm, { name: 'policyCheck', prompt: prompt.text, schema: POLICY_SCHEMA });
+  }
+
+  /**
+   * Throws a ContentBlockedError when `caption` may not be posted. A policy
+   * check that fails (model down, unusable answers) lets the caption through
+   * unless CONTENT_POLICY_FAIL_CLOSED is set.
+   */
+  async review(caption) {
+    if (!config.contentGuard.enabled) {
+      return;
+    }
+
+    const banned = await this.findBanned(caption);
+    if (banned) {
+      throw new ContentBlockedError(`contains banned ${banned.rule} ("${banned.match}")`, { rule: banned.rule, caption });
+    }
+
+    let verdict;
+    try {
+      verdict = await this.checkPolicy(caption);
+    } catch (error) {
+      console.error('❌ Content policy check failed:', error.message);
+      if (config.contentGuard.failClosed) {
+        throw new ContentBlockedError(`policy check failed (${error.message})`, { rule: 'policy', caption });
+      }
+      return;
+    }
+
+    if (verdict && !verdict.allowed) {
+      throw new ContentBlockedError(`policy check: ${verdict.reason || 'not allowed'}`, { rule: 'policy', caption });
+    }
+  }
+}
+
+// Words stripped of punctuation and repeated letters; runs of single letters ("n s f w") are joined
+function squashWords(text) {
+  const words = [];
+  let spelled = '';
+
+  for (const token of text.split(/\s+/)) {
+    const word = token.replace(/[^\p{L}\p{N}]/gu, '').replace(/(.)\1+/gu, '$1');
+    if ([...word].length === 1) {
+      spelled += word;
+      continue;
+    }
+    if (spelled) words.push(spelled);
+    if (word) words.push(word);
+    spelled = '';
+  }
+
+  if (spelled) words.push(spelled);
+  return words;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = new ContentGuard();
+module.exports.ContentBlockedError = ContentBlockedError;
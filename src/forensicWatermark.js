@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * Invisible watermark hidden in the mid frequencies of the image, for when
+ * the visible mark is cropped out. Each 8×8 block of luminance carries one
+ * payload bit in two DCT coefficients, quantized onto one of two keyed
+ * lattices (QIM). The 96 payload bits repeat in a 12×8-block pattern over
+ * the whole image, so every bit is voted on by hundreds of blocks; that is
+ * what lets it survive JPEG recompression. Extraction tries every block
+ * alignment, so crops are fine too; resizing and rotation are not.
+ */
+
+const BLOCK = 8;
+const TILE_WIDTH = 12; // In blocks; TILE_WIDTH × TILE_HEIGHT = PAYLOAD_BITS
+const TILE_HEIGHT = 8;
+const PAYLOAD_BITS = 96; // postId 24 + account 16 + minutes 24 + CRC-32 32
+const COEFFICIENTS = [[1, 2], [2, 1]]; // [u, v]: survive JPEG quantization, barely visible
+
+// Payload timestamps count minutes from here (24 bits: until 2055)
+const EPOCH = Date.UTC(2024, 0, 1);
+
+// A result below this isn't told apart from an unmarked image
+const MIN_CONFIDENCE = 0.15;
+
+// Orthonormal 8×8 DCT basis of each coefficient, as [x + y * 8]
+const BASES = COEFFICIENTS.map(([u, v]) => {
+  const basis = new Float64Array(BLOCK * BLOCK);
+  const alpha = n => (n === 0 ? Math.SQRT1_2 : 1);
+  for (let y = 0; y < BLOCK; y++) {
+    for (let x = 0; x < BLOCK; x++) {
+      basis[x + y * BLOCK] = 0.25 * alpha(u) * alpha(v) *
+        Math.cos(((2 * x + 1) * u * Math.PI) / 16) *
+        Math.cos(((2 * y + 1) * v * Math.PI) / 16);
+    }
+  }
+  return basis;
+});
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 16-bit fingerprint of an account ID; extraction maps it back to a known account
+function accountHash(accountId) {
+  return crypto.createHash('sha1').update(String(accountId)).digest().readUInt16BE(0);
+}
+
+// Keyed lattice offsets, one per payload bit and coefficient, in [0, 1)
+function dithers(key) {
+  const count = PAYLOAD_BITS * COEFFICIENTS.length;
+  const stream = [];
+  for (let round = 0; stream.length < count; round++) {
+    stream.push(...crypto.createHash('sha512').update(`forensic:${key}:${round}`).digest());
+  }
+  return stream.slice(0, count).map(byte => byte / 256);
+}
+
+// { postId (6 hex chars), accountId, timestamp } → 96 bits
+function encodePayload({ postId, accountId, timestamp = Date.now() }) {
+  const bytes = Buffer.alloc(12);
+  bytes.writeUIntBE(parseInt(postId, 16) & 0xffffff, 0, 3);
+  bytes.writeUInt16BE(accountHash(accountId), 3);
+  bytes.writeUIntBE(Math.max(0, Math.min(0xffffff, Math.floor((timestamp - EPOCH) / 60000))), 5, 3);
+  bytes.writeUInt32BE(crc32(bytes.subarray(0, 8)), 8);
+
+  const bits = [];
+  for (const byte of bytes) {
+    for (let i = 7; i >= 0; i--) {
+      bits.push((byte >> i) & 1);
+    }
+  }
+  return bits;
+}
+
+// 96 bits → { postId, accountHash, timestamp } or null when the checksum doesn't match
+function decodePayload(bits) {
+  const bytes = Buffer.alloc(12);
+  bits.forEach((bit, i) => {
+    bytes[i >> 3] |= bit << (7 - (i & 7));
+  });
+
+  if (crc32(bytes.subarray(0, 8)) !== bytes.readUInt32BE(8)) {
+    return null;
+  }
+
+  return {
+    postId: bytes.readUIntBE(0, 3).toString(16).padStart(6, '0'),
+    accountHash: bytes.readUInt16BE(3),
+    timestamp: EPOCH + bytes.readUIntBE(5, 3) * 60000
+  };
+}
+
+function luminance(data, channels, offset) {
+  return 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+}
+
+/**
+ * Hides `payload` ({ postId, accountId, timestamp }) in raw pixels, in
+ * place. `info` is sharp's { width, height, channels } (3 or 4).
+ */
+function embedPayload(data, info, payload, { key = config.forensic.key, strength = config.forensic.strength } = {}) {
+  const { width, height, channels } = info;
+  const bits = encodePayload(payload);
+  const offsets = dithers(key);
+  const luma = new Float64Array(BLOCK * BLOCK);
+  const delta = new Float64Array(BLOCK * BLOCK);
+
+  for (let by = 0; by < Math.floor(height / BLOCK); by++) {
+    for (let bx = 0; bx < Math.floor(width / BLOCK); bx++) {
+      const cell = (bx % TILE_WIDTH) + TILE_WIDTH * (by % TILE_HEIGHT);
+
+      for (let y = 0; y < BLOCK; y++) {
+        for (let x = 0; x < BLOCK; x++) {
+          luma[x + y * BLOCK] = luminance(data, channels, ((by * BLOCK + y) * width + bx * BLOCK + x) * channels);
+        }
+      }
+
+      delta.fill(0);
+      BASES.forEach((basis, k) => {
+        let coefficient = 0;
+        for (let i = 0; i < basis.length; i++) {
+          coefficient += luma[i] * basis[i];
+        }
+
+        // Nearest point of the bit's lattice: multiples of `strength`, shifted by the dither (and half a step for 1s)
+        const shift = offsets[cell * COEFFICIENTS.length + k] + bits[cell] / 2;
+        const target = (Math.round(coefficient / strength - shift) + shift) * strength;
+        for (let i = 0; i < basis.length; i++) {
+          delta[i] += (target - coefficient) * basis[i];
+        }
+      });
+
+      // The same change on R, G and B changes luminance by exactly that much
+      for (let y = 0; y < BLOCK; y++) {
+        for (let x = 0; x < BLOCK; x++) {
+          const offset = ((by * BLOCK + y) * width + bx * BLOCK + x) * channels;
+          for (let c = 0; c < 3; c++) {
+            data[offset + c] = Math.max(0, Math.min(255, Math.round(data[offset + c] + delta[x + y * BLOCK])));
+          }
+        }
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Looks for a payload in raw pixels. Every block alignment (the image may
+ * have been cropped) and every position in the repeating pattern is tried;
+ * the best one whose checksum matches wins.
+ *
+ * Returns { found, payload, confidence, alignment }: `confidence` (0-1) is
+ * how unanimously the blocks voted for each bit. Smooth areas vote the same
+ * way whether marked or not, so unmarked images can still reach 0.3-0.5;
+ * only a matching CRC-32 makes a payload `found`.
+ */
+function extractPayload(data, info, { key = config.forensic.key, strength = config.forensic.strength } = {}) {
+  const { width, height, channels } = info;
+  const offsets = dithers(key);
+  const ditherCos = offsets.map(offset => Math.cos(2 * Math.PI * offset));
+  const ditherSin = offsets.map(offset => Math.sin(2 * Math.PI * offset));
+  const luma = new Float64Array(BLOCK * BLOCK);
+  let best = { found: false, payload: null, confidence: 0, alignment: null };
+
+  for (let oy = 0; oy < BLOCK; oy++) {
+    for (let ox = 0; ox < BLOCK; ox++) {
+      // Per pattern position and coefficient: sums of cos and sin of the coefficient's lattice phase
+      const sums = new Float64Array(PAYLOAD_BITS * COEFFICIENTS.length * 2);
+      const counts = new Uint32Array(PAYLOAD_BITS);
+      const blocksX = Math.floor((width - ox) / BLOCK);
+      const blocksY = Math.floor((height - oy) / BLOCK);
+
+      for (let by = 0; by < blocksY; by++) {
+        for (let bx = 0; bx < blocksX; bx++) {
+          const cell = (bx % TILE_WIDTH) + TILE_WIDTH * (by % TILE_HEIGHT);
+          counts[cell]++;
+
+          for (let y = 0; y < BLOCK; y++) {
+            for (let x = 0; x < BLOCK; x++) {
+              luma[x + y * BLOCK] = luminance(data, channels, ((oy + by * BLOCK + y) * width + ox + bx * BLOCK + x) * channels);
+            }
+          }
+
+          BASES.forEach((basis, k) => {
+            let coefficient = 0;
+            for (let i = 0; i < basis.length; i++) {
+              coefficient += luma[i] * basis[i];
+            }
+            const phase = 2 * Math.PI * (coefficient / strength);
+            const index = (cell * COEFFICIENTS.length + k) * 2;
+            sums[index] += Math.cos(phase);
+            sums[index + 1] += Math.sin(phase);
+          });
+        }
+      }
+
+      // The pattern may start anywhere: cos(phase - dither) for every shift, from the sums
+      for (let ty = 0; ty < TILE_HEIGHT; ty++) {
+        for (let tx = 0; tx < TILE_WIDTH; tx++) {
+          const bits = new Array(PAYLOAD_BITS);
+          let agreement = 0;
+
+          for (let cell = 0; cell < PAYLOAD_BITS; cell++) {
+            const bit = ((cell % TILE_WIDTH) + tx) % TILE_WIDTH + TILE_WIDTH * ((Math.floor(cell / TILE_WIDTH) + ty) % TILE_HEIGHT);
+            let vote = 0;
+            for (let k = 0; k < COEFFICIENTS.length; k++) {
+              const index = (cell * COEFFICIENTS.length + k) * 2;
+              const dither = bit * COEFFICIENTS.length + k;
+              vote += sums[index] * ditherCos[dither] + sums[index + 1] * ditherSin[dither];
+            }
+            // Positive: on the 0 lattice; negative: half a step off, on the 1 lattice
+            bits[bit] = vote < 0 ? 1 : 0;
+            agreement += counts[cell] ? Math.abs(vote) / (counts[cell] * COEFFICIENTS.length) : 0;
+          }
+
+          const confidence = Math.round((agreement / PAYLOAD_BITS) * 1000) / 1000;
+          if (best.payload && confidence <= best.confidence) {
+            continue;
+          }
+
+          const payload = decodePayload(bits);
+          if (payload) {
+            best = { found: confidence >= MIN_CONFIDENCE, payload, confidence, alignment: { x: ox, y: oy, tileX: tx, tileY: ty } };
+          } else if (!best.payload && confidence > best.confidence) {
+            best = { ...best, confidence };
+          }
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  embedPayload,
+  extractPayload,
+  encodePayload,
+  decodePayload,
+  accountHash
+};
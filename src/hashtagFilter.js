@@ -1,12 +1,25 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs-extra');
 const config = require('./config');
+const { getProvider } = require('./llm');
+const promptTemplates = require('./promptTemplates');
+const { generateStructured } = require('./llm/structured');
+
+// JSON replies expected from the model
+const SCHEMAS = {
+  hashtags: {
+    type: 'object',
+    properties: { hashtags: { type: 'array', items: { type: 'string' }, maxItems: 10 } },
+    required: ['hashtags']
+  },
+  relevance: {
+    type: 'object',
+    properties: { relevant: { type: 'boolean' } },
+    required: ['relevant']
+  }
+};
 
 class HashtagFilter {
   constructor() {
-    this.genAI = new GoogleGenerativeAI(config.gemini.apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    
     // Cache for filtered hashtags
     this.cache = {
       filtered: new Map(),
@@ -40,6 +53,10 @@ class HashtagFilter {
     ];
   }
 
+  get llm() {
+    return getProvider();
+  }
+
   async filterHashtags(hashtags) {
     try {
       console.log(`🔍 Filtering ${hashtags.length} hashtags for niche relevance...`);
@@ -105,8 +122,8 @@ class HashtagFilter {
 
   async aiFilter(hashtags) {
     try {
-      if (!config.gemini.apiKey) {
-        console.log('⚠️ No Gemini API key, skipping AI filter');
+      if (!this.llm.isConfigured()) {
+        console.log('⚠️ No LLM configured, skipping AI filter');
         return [];
       }
       
@@ -119,35 +136,13 @@ class HashtagFilter {
       
       console.log('🤖 Using AI to filter hashtags...');
       
-      const prompt = `
-Analyze the following hashtags and select ONLY those that are relevant to:
-- Sensual and aesthetic photography
-- Beauty and modeling
-- Artistic and elegant content
-- Curves and feminine beauty
-- Fashion and style
-- Glamour photography
-
-Hashtags to analyze: ${hashtags.join(', ')}
-
-Output: Return ONLY the relevant hashtags, as a comma-separated list, with NO explanations and NO extra words. 
-If none are relevant, return "NONE". 
-Maximum 10 hashtags. Do not exceed 10.
-      `;
-      
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text().trim();
+      const { text: prompt } = await promptTemplates.render('hashtagFilter', { hashtags });
       
-      if (text === 'NONE' || !text) {
-        return [];
-      }
+      const result = await generateStructured(this.llm, { name: 'hashtagFilter', prompt, schema: SCHEMAS.hashtags });
       
-      // Parse the response
-      const filtered = text
-        .split(',')
-        .map(tag => tag.trim())
-        .filter(tag => tag.startsWith('#') && tag.length > 1)
+      // Only keep hashtags we actually asked about, in their original spelling
+      const asked = new Map(hashtags.map(tag => [tag.toLowerCase(), tag]));
+      const filtered = [...new Set(result.hashtags.map(tag => asked.get(tag.trim().toLowerCase())).filter(Boolean))]
         .slice(0, 10);
       
       // Cache the result
@@ -234,17 +229,12 @@ Maximum 10 hashtags. Do not exceed 10.
       }
       
       // Use AI for uncertain cases
-      if (config.gemini.apiKey) {
-        const prompt = `
-Is the hashtag "${hashtag}" relevant to sensual aesthetic photography, beauty, modeling, or feminine curves content?
-Answer only: YES or NO
-        `;
+      if (this.llm.isConfigured()) {
+        const { text: prompt } = await promptTemplates.render('hashtagRelevance', { hashtag });
         
-        const result = await this.model.generateContent(prompt);
-        const response = await result.response;
-        const answer = response.text().trim().toUpperCase();
+        const result = await generateStructured(this.llm, { name: 'hashtagRelevance', prompt, schema: SCHEMAS.relevance });
         
-        return answer === 'YES';
+        return result.relevant;
       }
       
       return false;
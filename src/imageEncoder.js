@@ -0,0 +1,156 @@
+const sharp = require('sharp');
+const path = require('path');
+const config = require('./config');
+
+const EXTENSIONS = { jpeg: '.jpg', webp: '.webp', png: '.png' };
+
+// Quality used when WATERMARK_OUTPUT_QUALITY is "source" but the source isn't a JPEG
+const DEFAULT_QUALITY = 90;
+
+// libjpeg's quality 50 luminance table; other qualities scale it
+const STANDARD_LUMINANCE_TABLE = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+
+// 'jpeg', 'png' or 'webp' from a photo's extension
+function formatOf(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return Object.keys(EXTENSIONS).find(format => EXTENSIONS[format] === extension) ||
+    (extension === '.jpeg' ? 'jpeg' : null);
+}
+
+// The format watermarked output of `sourceFormat` is written in
+function outputFormat(sourceFormat, setting = config.encoding.format) {
+  if (setting !== 'source') {
+    return setting;
+  }
+
+  return EXTENSIONS[sourceFormat] ? sourceFormat : 'jpeg';
+}
+
+function extensionFor(format) {
+  return EXTENSIONS[format];
+}
+
+/**
+ * Quality a JPEG was saved at, estimated from its luminance quantization
+ * table the way libjpeg builds it; null when there is none to read.
+ */
+function estimateJpegQuality(buffer) {
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // DQT: [precision << 4 | table ID] followed by 64 values, possibly several tables
+    if (marker === 0xdb) {
+      let table = offset + 4;
+      while (table < offset + 2 + length) {
+        const precision = buffer[table] >> 4;
+        const id = buffer[table] & 0x0f;
+        const size = precision ? 128 : 64;
+
+        if (id === 0) {
+          let sum = 0;
+          for (let i = 0; i < 64; i++) {
+            sum += precision ? buffer.readUInt16BE(table + 1 + i * 2) : buffer[table + 1 + i];
+          }
+          const scale = (sum * 100) / STANDARD_LUMINANCE_TABLE.reduce((a, b) => a + b, 0);
+          const quality = scale <= 100 ? (200 - scale) / 2 : 5000 / scale;
+          return Math.max(1, Math.min(100, Math.round(quality)));
+        }
+        table += 1 + size;
+      }
+    }
+
+    // Start of scan: no tables after this
+    if (marker === 0xda) {
+      break;
+    }
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+/**
+ * Encodes raw pixels ({ data, info } from sharp) as WATERMARK_OUTPUT_*
+ * says, lowering the quality until the file fits `maxBytes`, then the
+ * size. PNGs that don't fit become palette PNGs, then lossy (WebP when
+ * transparent, JPEG otherwise). Returns { data, format, quality }.
+ *
+ * `sourceQuality` is the estimated quality of a JPEG source: re-encoding it
+ * any higher only makes the file bigger.
+ */
+async function encode({ data, info }, format, { sourceQuality = null, maxBytes = config.encoding.maxBytes || config.images.maxBytes } = {}) {
+  const settings = config.encoding;
+  const hasAlpha = info.channels === 4;
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  const quality = settings.quality === 'source' ? (sourceQuality || DEFAULT_QUALITY) : settings.quality;
+
+  const pipeline = (scale) => {
+    const image = sharp(data, { raw });
+    return scale < 1 ? image.resize(Math.round(info.width * scale)) : image;
+  };
+
+  const encoders = {
+    jpeg: (image, q) => image.flatten({ background: '#ffffff' }).jpeg({ quality: q, chromaSubsampling: settings.chromaSubsampling, mozjpeg: settings.mozjpeg }),
+    webp: (image, q) => image.webp({ quality: q, alphaQuality: 100 }),
+    png: (image, q, palette = false) => image.png({ compressionLevel: 9, adaptiveFiltering: true, palette, quality: q })
+  };
+
+  if (format === 'png') {
+    for (const palette of [false, true]) {
+      const output = await encoders.png(pipeline(1), quality, palette).toBuffer();
+      if (output.length <= maxBytes) {
+        return { data: output, format: 'png', quality: palette ? quality : null };
+      }
+    }
+    format = hasAlpha ? 'webp' : 'jpeg';
+    console.log(`📦 PNG output is over ${Math.round(maxBytes / 1024)} KB, encoding as ${format}`);
+  }
+
+  for (let scale = 1; scale >= 0.3; scale *= 0.8) {
+    const attempt = async (q) => {
+      const output = await encoders[format](pipeline(scale), q).toBuffer();
+      return output.length <= maxBytes ? { data: output, format, quality: q } : null;
+    };
+
+    // Usually the first try fits; otherwise binary search down to minQuality for the highest that does
+    let best = await attempt(quality);
+    let low = Math.min(settings.minQuality, quality);
+    let high = best ? low - 1 : quality - 1;
+
+    while (low <= high) {
+      const q = Math.ceil((low + high) / 2);
+      const result = await attempt(q);
+      if (result) {
+        best = result;
+        low = q + 1;
+      } else {
+        high = q - 1;
+      }
+    }
+
+    if (best) {
+      if (scale < 1) {
+        console.log(`📦 Output downscaled to ${Math.round(scale * 100)}% to fit ${Math.round(maxBytes / 1024)} KB`);
+      }
+      return best;
+    }
+  }
+
+  throw new Error(`Image is still larger than ${Math.round(maxBytes / 1024)} KB after re-encoding`);
+}
+
+module.exports = {
+  formatOf,
+  outputFormat,
+  extensionFor,
+  estimateJpegQuality,
+  encode
+};
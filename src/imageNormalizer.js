@@ -0,0 +1,228 @@
+const sharp = require('sharp');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+
+// ISO media brands of HEIF-family images; any other `ftyp` file is a video
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// Formats every destination takes as they are; anything else is converted
+const PASSTHROUGH_FORMATS = ['jpeg', 'png'];
+
+const FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+  png: { mimeType: 'image/png', extension: '.png' },
+  webp: { mimeType: 'image/webp', extension: '.webp' },
+  gif: { mimeType: 'image/gif', extension: '.gif' },
+  bmp: { mimeType: 'image/bmp', extension: '.bmp' },
+  tiff: { mimeType: 'image/tiff', extension: '.tiff' },
+  heic: { mimeType: 'image/heic', extension: '.heic' },
+  avif: { mimeType: 'image/avif', extension: '.avif' },
+  mp4: { mimeType: 'video/mp4', extension: '.mp4' },
+  mov: { mimeType: 'video/quicktime', extension: '.mov' }
+};
+
+const JPEG_QUALITIES = [90, 85, 80, 70, 60];
+
+/**
+ * Tells the real format of a file from its first bytes, whatever its name
+ * says. Returns { format, mimeType, extension } or null when unknown.
+ */
+function sniffFormat(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  let format = null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    format = 'jpeg';
+  } else if (buffer.readUInt32BE(0) === 0x89504e47) {
+    format = 'png';
+  } else if (ascii(0, 4) === 'GIF8') {
+    format = 'gif';
+  } else if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    format = 'webp';
+  } else if (ascii(0, 2) === 'BM') {
+    format = 'bmp';
+  } else if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') {
+    format = 'tiff';
+  } else if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (HEIF_BRANDS.includes(brand)) format = 'heic';
+    else if (AVIF_BRANDS.includes(brand)) format = 'avif';
+    else format = brand === 'qt  ' ? 'mov' : 'mp4';
+  }
+
+  return format ? { format, ...FORMATS[format] } : null;
+}
+
+/**
+ * Decodes an uncompressed 24 or 32-bit BMP, which sharp can't read, into
+ * raw RGB(A) pixels for it.
+ */
+function decodeBmp(buffer) {
+  const dataOffset = buffer.readUInt32LE(10);
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = buffer.readUInt32LE(30);
+
+  // 3 = BI_BITFIELDS, used by 32-bit files with the standard BGRA layout
+  if (![24, 32].includes(bitsPerPixel) || ![0, 3].includes(compression)) {
+    throw new Error(`Unsupported BMP (${bitsPerPixel}-bit, compression ${compression})`);
+  }
+
+  const height = Math.abs(rawHeight);
+  const channels = bitsPerPixel / 8;
+  const rowSize = Math.ceil((width * channels) / 4) * 4;
+  const pixels = Buffer.alloc(width * height * channels);
+
+  for (let y = 0; y < height; y++) {
+    // Rows are stored bottom-up unless the height is negative
+    const row = dataOffset + (rawHeight > 0 ? height - 1 - y : y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const source = row + x * channels;
+      const target = (y * width + x) * channels;
+      pixels[target] = buffer[source + 2];
+      pixels[target + 1] = buffer[source + 1];
+      pixels[target + 2] = buffer[source];
+      if (channels === 4) pixels[target + 3] = buffer[source + 3];
+    }
+  }
+
+  return sharp(pixels, { raw: { width, height, channels } });
+}
+
+/**
+ * Makes downloaded media safe to hand to the watermarker, the vision model
+ * and every uploader: the extension matches the real format, photos are
+ * JPEG or PNG, turned upright from their EXIF orientation, stripped of
+ * metadata (camera, GPS location) and re-encoded until they fit
+ * IMAGE_MAX_BYTES and IMAGE_MAX_DIMENSION. Files that already comply are
+ * left untouched.
+ */
+class ImageNormalizer {
+  // Returns { path, format, mimeType, bytes, changed }; `path` may differ from `filePath`
+  async normalize(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    const head = Buffer.alloc(16);
+    try {
+      await fs.read(handle, head, 0, head.length, 0);
+    } finally {
+      await fs.close(handle);
+    }
+
+    const sniffed = sniffFormat(head);
+    if (!sniffed) {
+      throw new Error(`Unrecognized media format: ${path.basename(filePath)}`);
+    }
+
+    // Videos and GIFs only need the right extension
+    if (sniffed.mimeType.startsWith('video/') || sniffed.format === 'gif') {
+      const finalPath = await this.fixExtension(filePath, sniffed.extension);
+      const { size } = await fs.stat(finalPath);
+      return { path: finalPath, format: sniffed.format, mimeType: sniffed.mimeType, bytes: size, changed: finalPath !== filePath };
+    }
+
+    return await this.normalizePhoto(filePath, sniffed);
+  }
+
+  async normalizePhoto(filePath, sniffed) {
+    const input = await fs.readFile(filePath);
+    const image = await this.open(input, sniffed);
+    const metadata = await image.metadata();
+
+    const { maxBytes, maxDimension } = config.images;
+    const needsConversion = !PASSTHROUGH_FORMATS.includes(sniffed.format);
+    const needsRotation = (metadata.orientation || 1) !== 1;
+    const hasMetadata = !!(metadata.exif || metadata.xmp || metadata.iptc);
+    const tooLarge = input.length > maxBytes || Math.max(metadata.width, metadata.height) > maxDimension;
+
+    if (!needsConversion && !needsRotation && !hasMetadata && !tooLarge) {
+      const finalPath = await this.fixExtension(filePath, sniffed.extension);
+      return { path: finalPath, format: sniffed.format, mimeType: sniffed.mimeType, bytes: input.length, changed: finalPath !== filePath };
+    }
+
+    // PNGs stay PNG if they fit; transparent images are shrunk before giving up on PNG
+    const png = metadata.hasAlpha ? 'shrink' : sniffed.format === 'png' ? 'once' : 'none';
+    const { data, format } = await this.encode(input, sniffed, png);
+
+    const outputPath = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}${FORMATS[format].extension}`);
+    await fs.writeFile(outputPath, data);
+    if (outputPath !== filePath) {
+      await fs.remove(filePath);
+    }
+
+    const reasons = [
+      needsConversion && `${sniffed.format} → ${format}`,
+      needsRotation && 'rotated',
+      hasMetadata && 'metadata stripped',
+      tooLarge && 'resized to fit'
+    ].filter(Boolean);
+    console.log(`🧼 Normalized ${path.basename(outputPath)} (${reasons.join(', ')}): ${Math.round(input.length / 1024)} KB → ${Math.round(data.length / 1024)} KB`);
+
+    return { path: outputPath, format, mimeType: FORMATS[format].mimeType, bytes: data.length, changed: true };
+  }
+
+  async open(input, sniffed) {
+    try {
+      const image = sniffed.format === 'bmp' ? decodeBmp(input) : sharp(input);
+      await image.metadata();
+      return image;
+    } catch (error) {
+      if (sniffed.format === 'heic') {
+        throw new Error('HEIC images need a sharp/libvips build with HEVC support; send the photo as JPEG instead');
+      }
+      throw new Error(`Could not read ${sniffed.format} image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lowers the quality, then the size, until the file fits IMAGE_MAX_BYTES.
+   * `png` is 'none' (straight to JPEG), 'once' (PNG at full size first) or
+   * 'shrink' (PNG at decreasing sizes first).
+   */
+  async encode(input, sniffed, png = 'none') {
+    const { maxBytes, maxDimension } = config.images;
+    const dimensions = [];
+    for (let dimension = maxDimension; dimension >= 640; dimension = Math.round(dimension * 0.75)) {
+      dimensions.push(dimension);
+    }
+
+    const pipeline = (dimension) => (sniffed.format === 'bmp' ? decodeBmp(input) : sharp(input))
+      .rotate()
+      .resize(dimension, dimension, { fit: 'inside', withoutEnlargement: true });
+
+    for (const dimension of png === 'shrink' ? dimensions : png === 'once' ? dimensions.slice(0, 1) : []) {
+      const data = await pipeline(dimension).png({ compressionLevel: 9 }).toBuffer();
+      if (data.length <= maxBytes) {
+        return { data, format: 'png' };
+      }
+    }
+
+    for (const dimension of dimensions) {
+      for (const quality of JPEG_QUALITIES) {
+        const data = await pipeline(dimension).flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true }).toBuffer();
+        if (data.length <= maxBytes) {
+          return { data, format: 'jpeg' };
+        }
+      }
+    }
+
+    throw new Error(`Image is still larger than ${Math.round(maxBytes / 1024)} KB after re-encoding`);
+  }
+
+  async fixExtension(filePath, extension) {
+    const current = path.extname(filePath).toLowerCase();
+    if (current === extension || (current === '.jpeg' && extension === '.jpg')) {
+      return filePath;
+    }
+
+    const renamed = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}${extension}`);
+    await fs.move(filePath, renamed, { overwrite: true });
+    console.log(`🏷️ ${path.basename(filePath)} is really ${extension.slice(1)}, renamed`);
+    return renamed;
+  }
+}
+
+module.exports = new ImageNormalizer();
+module.exports.sniffFormat = sniffFormat;
@@ -2,84 +2,79 @@ const sharp = require('sharp');
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('./config');
+const imageEncoder = require('./imageEncoder');
+const { resolvePlacement, placementKey, computeOffset } = require('./watermarkPlacement');
+const { analyzePlacement, VARIANTS } = require('./smartPlacement');
+const { renderText } = require('./textWatermark');
+const { embedPayload } = require('./forensicWatermark');
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// Text marks for videos are drawn at this width, then scaled to the video's
+const MARK_REFERENCE_WIDTH = 1280;
 
 class ImageWatermark {
   constructor() {
     this.watermarkPath = config.paths.watermark;
   }
 
-  async addWatermark(inputImagePath) {
+  // Output file for `inputImagePath`; the name carries a hash of the logo,
+  // text, placement and encoding, so changed settings never reuse old
+  // outputs. options.sourceHash (see watermarkCache.js) replaces the input's
+  // name, so copies of the same file share one output
+  getOutputPath(inputImagePath, options = {}) {
+    const inputFilename = options.sourceHash || path.basename(inputImagePath, path.extname(inputImagePath));
+    const extras = [options.markText, options.forensic && `${options.forensic.postId}:${options.forensic.accountId}`, options.seed].filter(Boolean);
+    const key = placementKey(options.placement || resolvePlacement(), options.watermarkPath || this.watermarkPath, config.encoding, ...extras);
+    const extension = imageEncoder.extensionFor(imageEncoder.outputFormat(imageEncoder.formatOf(inputImagePath)));
+    return path.join(config.paths.output, `${inputFilename}_${key}_watermarked${extension}`);
+  }
+
+  // options.watermarkPath overrides the logo (it is part of the output name's hash);
+  // options.placement (see watermarkPlacement.js) says where the logo goes;
+  // options.markText is the text line for placements with text content;
+  // options.forensic ({ postId, accountId }) is hidden in the pixels as well;
+  // options.seed only changes the output name, so random placements aren't shared
+  async addWatermark(inputImagePath, options = {}) {
     try {
       console.log(`🖼️ Adding watermark to: ${path.basename(inputImagePath)}`);
       
+      const watermarkPath = options.watermarkPath || this.watermarkPath;
+      const placement = options.placement || resolvePlacement();
+      
       // Ensure output directory exists
       await fs.ensureDir(config.paths.output);
       
-      // Generate output filename
-      const inputFilename = path.basename(inputImagePath, path.extname(inputImagePath));
-      const outputPath = path.join(config.paths.output, `${inputFilename}_watermarked.jpg`);
+      const outputPath = this.getOutputPath(inputImagePath, options);
       
       // Check if watermark file exists
-      if (!await fs.pathExists(this.watermarkPath)) {
-        throw new Error(`Watermark file not found: ${this.watermarkPath}`);
+      if (!await fs.pathExists(watermarkPath)) {
+        throw new Error(`Watermark file not found: ${watermarkPath}`);
       }
       
-      // Get input image metadata
-      const inputImage = sharp(inputImagePath);
-      const { width, height } = await inputImage.metadata();
+      const input = await fs.readFile(inputImagePath);
+      const { layers } = await this.render(input, watermarkPath, placement, options.markText);
       
-      // Calculate watermark size (configurable % of image width, maintaining aspect ratio)
-      const watermarkWidth = Math.floor(width * config.app.watermarkSize);
+      // One composite pass into raw pixels; every encoding attempt starts from these
+      const pixels = await sharp(input).composite(layers).raw().toBuffer({ resolveWithObject: true });
       
-      // Prepare watermark with resize (PNG file already has transparency)
-      const watermarkBuffer = await sharp(this.watermarkPath)
-        .resize(watermarkWidth, null, {
-          withoutEnlargement: true,
-          fit: 'inside'
-        })
-        .toBuffer();
+      if (options.forensic) {
+        embedPayload(pixels.data, pixels.info, { ...options.forensic, timestamp: Date.now() });
+        console.log(`🔏 Forensic watermark embedded (post ${options.forensic.postId})`);
+      }
       
-      // Get watermark dimensions after resize
-      const watermarkMeta = await sharp(watermarkBuffer).metadata();
-      
-      // Calculate center position
-      const left = Math.floor((width - watermarkMeta.width) / 2);
-      const top = Math.floor((height - watermarkMeta.height) / 2);
-      
-      // Create semi-transparent watermark overlay
-      const watermarkOverlay = await sharp({
-        create: {
-          width: width,
-          height: height,
-          channels: 4,
-          background: { r: 0, g: 0, b: 0, alpha: 0 }
-        }
-      })
-      .composite([
-        {
-          input: watermarkBuffer,
-          left: left,
-          top: top,
-          blend: 'over'
-        }
-      ])
-      .png()
-      .toBuffer();
+      // Encoded to fit the upload limits; a PNG too big for them may come out in another format
+      const sourceFormat = imageEncoder.formatOf(inputImagePath);
+      const encoded = await imageEncoder.encode(pixels, imageEncoder.outputFormat(sourceFormat), {
+        sourceQuality: sourceFormat === 'jpeg' ? imageEncoder.estimateJpegQuality(input) : null
+      });
+      const finalPath = outputPath.replace(/\.\w+$/, imageEncoder.extensionFor(encoded.format));
+      await fs.writeFile(finalPath, encoded.data);
       
-      // Apply watermark to original image with opacity
-      await inputImage
-        .composite([
-          {
-            input: watermarkOverlay,
-            blend: 'over',
-            opacity: config.app.watermarkOpacity
-          }
-        ])
-        .jpeg({ quality: 90 })
-        .toFile(outputPath);
-      
-      console.log(`✅ Watermark added successfully: ${path.basename(outputPath)}`);
-      return outputPath;
+      const qualityNote = encoded.quality ? ` q${encoded.quality}` : '';
+      console.log(`✅ Watermark added successfully (${placement.mode}, ${encoded.format}${qualityNote}, ${Math.round(encoded.data.length / 1024)} KB): ${path.basename(finalPath)}`);
+      
+      return finalPath;
       
     } catch (error) {
       console.error('❌ Error adding watermark:', error);
@@ -87,6 +82,204 @@ class ImageWatermark {
     }
   }
 
+  /**
+   * Composite layers that put the logo and/or `markText` on `input` (an
+   * image path or buffer) as `placement` says: { layers, frame, analysis },
+   * where `analysis` is the smart-mode decision (see smartPlacement.js) or null.
+   */
+  async render(input, watermarkPath, placement, markText = null) {
+    // Get input image metadata
+    const { width, height } = await sharp(input).metadata();
+    const frame = { width, height };
+    
+    const logo = await this.loadMark(watermarkPath, placement, markText, frame);
+    let analysis = null;
+    let layers;
+    
+    if (placement.mode === 'smart') {
+      analysis = await analyzePlacement(input, placement, frame, logo);
+      const { chosen, variant, opacity } = analysis;
+      console.log(`🎯 Smart watermark: ${chosen.position} (score ${chosen.score}, luminance ${chosen.luminance}), ${variant} logo at ${Math.round(opacity * 100)}% opacity`);
+      layers = [{ input: await this.fadeLogo(logo, opacity, variant), left: chosen.left, top: chosen.top }];
+    } else {
+      const faded = await this.fadeLogo(logo, placement.opacity);
+      if (placement.mode === 'tiled') {
+        layers = [await this.tiledLayer(placement, frame, { ...logo, data: faded })];
+      } else if (placement.mode === 'diagonal') {
+        layers = await this.diagonalLayers(placement, frame, { ...logo, data: faded });
+      } else {
+        layers = [{ input: faded, ...computeOffset(placement, frame, logo) }];
+      }
+    }
+    
+    return { layers: layers.map(layer => ({ ...layer, blend: 'over' })), frame, analysis };
+  }
+
+  /**
+   * What gets stamped, as raw RGBA ({ data, width, height }): the logo at
+   * the configured % of the image width, the text line, or the logo above
+   * the text, depending on placement.content.
+   */
+  async loadMark(watermarkPath, placement, markText, frame) {
+    const content = placement.content || 'logo';
+    if (content !== 'logo' && !markText) {
+      console.warn('⚠️ Text watermark has no text, using the logo only');
+    }
+    
+    const parts = [];
+    if (content !== 'text' || !markText) {
+      parts.push(await this.loadLogo(watermarkPath, Math.floor(frame.width * placement.size), frame.height));
+    }
+    if (content !== 'logo' && markText) {
+      parts.push(await renderText(markText, placement, frame.width));
+    }
+    
+    let mark = parts[0];
+    
+    if (parts.length > 1) {
+      // Logo centered above the text
+      const gap = Math.round(parts[1].height * 0.3);
+      const width = Math.max(...parts.map(part => part.width));
+      const height = parts[0].height + gap + parts[1].height;
+      const data = await sharp({ create: { width, height, channels: 4, background: TRANSPARENT } })
+        .composite(parts.map((part, index) => ({
+          input: part.data,
+          raw: { width: part.width, height: part.height, channels: 4 },
+          left: Math.floor((width - part.width) / 2),
+          top: index === 0 ? 0 : parts[0].height + gap
+        })))
+        .raw()
+        .toBuffer();
+      mark = { data, width, height };
+    }
+    
+    // A long text line may not fit a narrow image
+    if (mark.width > frame.width || mark.height > frame.height) {
+      const { data, info } = await sharp(mark.data, { raw: { width: mark.width, height: mark.height, channels: 4 } })
+        .resize(frame.width, frame.height, { fit: 'inside' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      mark = { data, width: info.width, height: info.height };
+    }
+    
+    return mark;
+  }
+
+  // The mark as a PNG for ffmpeg, drawn for a MARK_REFERENCE_WIDTH-wide frame: { path, widthRatio }
+  async renderMarkFile(watermarkPath, placement, markText) {
+    const frame = { width: MARK_REFERENCE_WIDTH, height: MARK_REFERENCE_WIDTH };
+    const mark = await this.loadMark(watermarkPath, placement, markText, frame);
+    
+    await fs.ensureDir(config.paths.temp);
+    const markPath = path.join(config.paths.temp, `mark_${placementKey(placement, watermarkPath, markText)}.png`);
+    await sharp(mark.data, { raw: { width: mark.width, height: mark.height, channels: 4 } }).png().toFile(markPath);
+    
+    return { path: markPath, widthRatio: mark.width / frame.width };
+  }
+
+  // Logo resized to fit maxWidth × maxHeight, as raw RGBA: { data, width, height }
+  async loadLogo(watermarkPath, maxWidth, maxHeight) {
+    const { data, info } = await sharp(watermarkPath)
+      .resize(maxWidth, maxHeight, {
+        withoutEnlargement: true,
+        fit: 'inside'
+      })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    return { data, width: info.width, height: info.height };
+  }
+
+  // PNG of the logo with its alpha scaled by `opacity`; a variant ('light' or 'dark') recolors it white or black
+  async fadeLogo(logo, opacity, variant = null) {
+    const data = Buffer.from(logo.data);
+    
+    for (let i = 0; i < data.length; i += 4) {
+      if (variant) {
+        data.fill(VARIANTS[variant], i, i + 3);
+      }
+      data[i + 3] = Math.round(data[i + 3] * opacity);
+    }
+    
+    return await sharp(data, { raw: { width: logo.width, height: logo.height, channels: 4 } }).png().toBuffer();
+  }
+
+  // The logo repeated over the whole image, the pattern turned by placement.angle
+  async tiledLayer(placement, frame, logo) {
+    const tileWidth = logo.width + Math.round(logo.width * placement.spacing);
+    const tileHeight = logo.height + Math.round(logo.height * placement.spacing);
+    const tile = await sharp(logo.data)
+      .extend({
+        right: tileWidth - logo.width,
+        bottom: tileHeight - logo.height,
+        background: TRANSPARENT
+      })
+      .png()
+      .toBuffer();
+    
+    // Tile an area that still covers the image once turned, then crop its middle;
+    // sharp only repeats whole tiles, so the area is a whole number of them
+    const side = Math.hypot(frame.width, frame.height);
+    const pattern = await sharp({
+      create: {
+        width: Math.ceil(side / tileWidth) * tileWidth,
+        height: Math.ceil(side / tileHeight) * tileHeight,
+        channels: 4,
+        background: TRANSPARENT
+      }
+    })
+      .composite([{ input: tile, tile: true }])
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    const rotated = await sharp(pattern.data, { raw: pattern.info })
+      .rotate(placement.angle, { background: TRANSPARENT })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    const { data } = await sharp(rotated.data, { raw: rotated.info })
+      .extract({
+        left: Math.floor((rotated.info.width - frame.width) / 2),
+        top: Math.floor((rotated.info.height - frame.height) / 2),
+        width: frame.width,
+        height: frame.height
+      })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    
+    return { input: data, raw: { width: frame.width, height: frame.height, channels: 4 } };
+  }
+
+  // Logos spaced along the line from the bottom-left to the top-right corner, turned to follow it
+  async diagonalLayers(placement, frame, logo) {
+    const angle = -Math.atan2(frame.height, frame.width) * 180 / Math.PI;
+    const rotated = await sharp(logo.data)
+      .rotate(angle, { background: TRANSPARENT })
+      .resize(frame.width, frame.height, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height } = rotated.info;
+    
+    const length = Math.hypot(frame.width, frame.height);
+    const count = Math.max(1, Math.floor(length / (logo.width * (1 + placement.spacing))));
+    const layers = [];
+    
+    for (let i = 0; i < count; i++) {
+      const along = (i + 0.5) / count;
+      const left = Math.round(along * frame.width - width / 2);
+      const top = Math.round((1 - along) * frame.height - height / 2);
+      
+      layers.push({
+        input: rotated.data,
+        left: Math.min(Math.max(left, 0), frame.width - width),
+        top: Math.min(Math.max(top, 0), frame.height - height)
+      });
+    }
+    
+    return layers;
+  }
+
   async addWatermarkToMultiple(imagePaths) {
     const watermarkedPaths = [];
     
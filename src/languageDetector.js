@@ -0,0 +1,96 @@
+/**
+ * Small offline language guesser for captions. Non-Latin scripts are told
+ * apart by their Unicode ranges; Latin-script languages by how many of the
+ * words are common function words of that language. Short captions are
+ * often ambiguous, so the result carries a 0-1 confidence.
+ */
+const LANGUAGE_NAMES = {
+  en: 'English',
+  id: 'Indonesian',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  nl: 'Dutch',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean',
+  ru: 'Russian',
+  ar: 'Arabic',
+  th: 'Thai',
+  hi: 'Hindi',
+  und: 'Unknown'
+};
+
+// Checked in order: kana before Han, since Japanese mixes both
+const SCRIPTS = [
+  ['ja', /[぀-ヿ]/g],
+  ['ko', /[가-힯]/g],
+  ['zh', /[一-鿿]/g],
+  ['ru', /[Ѐ-ӿ]/g],
+  ['ar', /[؀-ۿ]/g],
+  ['th', /[฀-๿]/g],
+  ['hi', /[ऀ-ॿ]/g]
+];
+
+const STOPWORDS = {
+  en: 'the a an and or but of to in on at for with is are was be this that it my your me you i we so just not what when how all love like',
+  id: 'yang dan di ke dari ini itu dengan untuk tidak aku kamu ada saya akan juga sudah bisa lagi aja banget gak nggak yg sama udah mau kalau kok deh dong sih nih cantik sayang malam pagi selamat buat jadi lebih',
+  es: 'el la los las y o de del en un una es que por para con no mi tu su muy pero como más todo amor hola',
+  pt: 'o a os as e de do da em um uma é que por para com não meu minha muito mas como mais tudo você amor olá',
+  fr: 'le la les et ou de du des en un une est que pour avec ne pas mon ma très mais comme plus tout je tu amour bonjour',
+  de: 'der die das und oder von zu in im ein eine ist nicht mit für mein dein sehr aber wie auch ich du liebe',
+  it: 'il lo la gli le e o di del in un una è che per con non mio mia molto ma come più tutto io tu amore ciao',
+  nl: 'de het een en of van in op is dat niet met voor mijn jouw heel maar zoals ook ik je liefde'
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words.split(' '))])
+);
+
+function languageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+/**
+ * Returns { code, name, confidence }; code is 'und' when nothing could be
+ * told from the text.
+ */
+function detectLanguage(text) {
+  const cleaned = (text || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[#@][\p{L}\p{N}_]+/gu, ' ');
+
+  const letters = (cleaned.match(/\p{L}/gu) || []).length;
+  if (letters === 0) {
+    return { code: 'und', name: languageName('und'), confidence: 0 };
+  }
+
+  for (const [code, pattern] of SCRIPTS) {
+    const count = (cleaned.match(pattern) || []).length;
+    if (count / letters > 0.3) {
+      return { code, name: languageName(code), confidence: Math.round(Math.min(1, count / letters + 0.2) * 100) / 100 };
+    }
+  }
+
+  const words = cleaned.toLowerCase().split(/[^\p{L}']+/u).filter(Boolean);
+  const scores = Object.entries(STOPWORD_SETS)
+    .map(([code, stopwords]) => [code, words.filter(word => stopwords.has(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+
+  const [[bestCode, bestHits], [, runnerUpHits]] = scores;
+  if (bestHits === 0) {
+    return { code: 'und', name: languageName('und'), confidence: 0 };
+  }
+
+  // More hits and a clearer lead over the runner-up both raise confidence
+  const coverage = Math.min(1, bestHits / Math.max(2, words.length * 0.3));
+  const lead = (bestHits - runnerUpHits) / bestHits;
+  return { code: bestCode, name: languageName(bestCode), confidence: Math.round(coverage * lead * 100) / 100 };
+}
+
+module.exports = {
+  detectLanguage,
+  languageName
+};
@@ -0,0 +1,48 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini through the official SDK
+class GeminiProvider {
+  constructor(options) {
+    this.name = 'gemini';
+    this.options = options;
+    this.models = new Map(); // model name -> GenerativeModel
+  }
+
+  isConfigured() {
+    return !!this.options.apiKey;
+  }
+
+  getModel(modelName) {
+    if (!this.models.has(modelName)) {
+      const genAI = new GoogleGenerativeAI(this.options.apiKey);
+      const generationConfig = { maxOutputTokens: this.options.maxTokens };
+      if (this.options.temperature != null) {
+        generationConfig.temperature = this.options.temperature;
+      }
+
+      this.models.set(modelName, genAI.getGenerativeModel(
+        { model: modelName, generationConfig },
+        { timeout: this.options.timeout }
+      ));
+    }
+
+    return this.models.get(modelName);
+  }
+
+  // This SDK version has no JSON mode; the schema is described in the prompt
+  async generateText(prompt) {
+    const result = await this.getModel(this.options.model).generateContent(prompt);
+    return result.response.text().trim();
+  }
+
+  async generateVision(prompt, images) {
+    const parts = images.map(image => ({
+      inlineData: { data: image.data.toString('base64'), mimeType: image.mimeType }
+    }));
+
+    const result = await this.getModel(this.options.visionModel).generateContent([prompt, ...parts]);
+    return result.response.text().trim();
+  }
+}
+
+module.exports = { GeminiProvider };
@@ -0,0 +1,53 @@
+const config = require('../config');
+const { GeminiProvider } = require('./geminiProvider');
+const { OpenAIProvider } = require('./openaiProvider');
+const { OllamaProvider } = require('./ollamaProvider');
+const { StubProvider } = require('./stubProvider');
+
+/**
+ * Text and vision generation behind one interface. A provider has:
+ *   name
+ *   isConfigured() → boolean
+ *   generateText(prompt, options) → string
+ *   generateVision(prompt, images: [{ data: Buffer, mimeType }], options) → string
+ * `options.schema` asks for JSON output where the backend supports it; see
+ * structured.js. LLM_PROVIDER picks which one the caption builder and
+ * hashtag filter use.
+ */
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  stub: StubProvider
+};
+
+let current = null;
+
+function createProvider(name = config.llm.provider, options = config.llm) {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(options);
+}
+
+function getProvider() {
+  if (!current) {
+    current = createProvider();
+  }
+
+  return current;
+}
+
+// Swaps the shared provider, e.g. for a stub in tests
+function setProvider(provider) {
+  current = provider;
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider
+};
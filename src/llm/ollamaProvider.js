@@ -0,0 +1,52 @@
+const axios = require('axios');
+
+// A local Ollama server; vision needs a multimodal model such as llava
+class OllamaProvider {
+  constructor(options) {
+    this.name = 'ollama';
+    this.options = options;
+  }
+
+  isConfigured() {
+    return !!(this.options.baseUrl && this.options.model);
+  }
+
+  async generateText(prompt, options = {}) {
+    return await this.generate(this.options.model, prompt, null, options);
+  }
+
+  async generateVision(prompt, images, options = {}) {
+    return await this.generate(this.options.visionModel, prompt, images.map(image => image.data.toString('base64')), options);
+  }
+
+  async generate(model, prompt, images, { schema } = {}) {
+    const body = {
+      model,
+      prompt,
+      stream: false,
+      options: { num_predict: this.options.maxTokens }
+    };
+    if (images) {
+      body.images = images;
+    }
+    if (schema) {
+      body.format = schema; // Structured outputs, Ollama 0.5+
+    }
+    if (this.options.temperature != null) {
+      body.options.temperature = this.options.temperature;
+    }
+
+    try {
+      const response = await axios.post(`${this.options.baseUrl}/api/generate`, body, {
+        timeout: this.options.timeout
+      });
+
+      return (response.data?.response || '').trim();
+    } catch (error) {
+      const detail = error.response?.data?.error || error.message;
+      throw new Error(`Ollama request failed: ${detail}`);
+    }
+  }
+}
+
+module.exports = { OllamaProvider };
@@ -0,0 +1,67 @@
+const axios = require('axios');
+
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself,
+ * llama.cpp's server, vLLM, LM Studio, OpenRouter...
+ * Images are sent inline as data URLs.
+ */
+class OpenAIProvider {
+  constructor(options) {
+    this.name = 'openai';
+    this.options = options;
+  }
+
+  // Local servers usually need no key, so a base URL and model are enough
+  isConfigured() {
+    return !!(this.options.baseUrl && this.options.model);
+  }
+
+  async generateText(prompt, options = {}) {
+    return await this.complete(this.options.model, prompt, options);
+  }
+
+  async generateVision(prompt, images, options = {}) {
+    const content = [
+      { type: 'text', text: prompt },
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` }
+      }))
+    ];
+
+    return await this.complete(this.options.visionModel, content, options);
+  }
+
+  async complete(model, content, { schema, schemaName } = {}) {
+    const body = {
+      model,
+      messages: [{ role: 'user', content }],
+      max_tokens: this.options.maxTokens
+    };
+    if (this.options.temperature != null) {
+      body.temperature = this.options.temperature;
+    }
+    if (schema) {
+      body.response_format = { type: 'json_schema', json_schema: { name: schemaName || 'response', schema } };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.options.apiKey) {
+      headers.Authorization = `Bearer ${this.options.apiKey}`;
+    }
+
+    try {
+      const response = await axios.post(`${this.options.baseUrl}/chat/completions`, body, {
+        headers,
+        timeout: this.options.timeout
+      });
+
+      return (response.data?.choices?.[0]?.message?.content || '').trim();
+    } catch (error) {
+      const detail = error.response?.data?.error?.message || error.message;
+      throw new Error(`OpenAI-compatible request failed: ${detail}`);
+    }
+  }
+}
+
+module.exports = { OpenAIProvider };
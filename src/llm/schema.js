@@ -0,0 +1,66 @@
+/**
+ * Checks a value against the small subset of JSON Schema the model calls
+ * use: type (object, array, string, boolean, number, integer), properties,
+ * required, items, minLength, maxLength, minItems and maxItems.
+ * Returns a list of problems, empty when the value is valid.
+ */
+function validate(schema, value, at = '$') {
+  const errors = [];
+
+  if (!matchesType(schema.type, value)) {
+    errors.push(`${at} should be ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${at}.${key} is required`);
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(propertySchema, value[key], `${at}.${key}`));
+      }
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at} should have at most ${schema.maxItems} items`);
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${at}[${index}]`)));
+    }
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${at} should not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at} should be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    default: return true;
+  }
+}
+
+module.exports = { validate };
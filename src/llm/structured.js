@@ -0,0 +1,106 @@
+const config = require('../config');
+const promptTemplates = require('../promptTemplates');
+const { validate } = require('./schema');
+
+/**
+ * Thrown when a model keeps answering with JSON that doesn't match the
+ * schema, even after the repair retries.
+ */
+class StructuredOutputError extends Error {
+  constructor(message, { name, errors = [], answer = null } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.callName = name;
+    this.errors = errors;
+    this.answer = answer;
+  }
+}
+
+const stats = new Map(); // call name -> { calls, invalid, repaired, failed, lastError }
+
+function statsFor(name) {
+  if (!stats.has(name)) {
+    stats.set(name, { calls: 0, invalid: 0, repaired: 0, failed: 0, lastError: null });
+  }
+  return stats.get(name);
+}
+
+// Tolerates code fences and chatter around the object; the schema check stays strict
+function parseAnswer(answer, schema) {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(answer || '');
+  const candidate = fenced ? fenced[1] : (answer || '');
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end < start) {
+    return { value: null, errors: ['no JSON object found'] };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    return { value: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  return { value, errors: validate(schema, value) };
+}
+
+function schemaInstruction(schema) {
+  return `Respond with a single JSON object and nothing else, matching this JSON schema:\n${JSON.stringify(schema)}`;
+}
+
+/**
+ * Asks the provider for JSON matching `schema` and returns the parsed
+ * object. Invalid answers are sent back with a repair prompt up to
+ * LLM_JSON_RETRIES times before giving up with a StructuredOutputError.
+ * `name` identifies the call in the validation stats.
+ */
+async function generateStructured(provider, { name, prompt, schema, images = null }) {
+  const record = statsFor(name);
+  const options = { schema, schemaName: name };
+  const ask = (text) => (images ? provider.generateVision(text, images, options) : provider.generateText(text, options));
+
+  record.calls++;
+  let answer = await ask(`${prompt}\n\n${schemaInstruction(schema)}`);
+
+  for (let attempt = 0; ; attempt++) {
+    const { value, errors } = parseAnswer(answer, schema);
+
+    if (errors.length === 0) {
+      if (attempt > 0) {
+        record.repaired++;
+        console.log(`🧩 ${name} response repaired after ${attempt} retr${attempt === 1 ? 'y' : 'ies'}`);
+      }
+      return value;
+    }
+
+    record.invalid++;
+    record.lastError = errors.join('; ');
+
+    if (attempt >= config.llm.jsonRetries) {
+      record.failed++;
+      throw new StructuredOutputError(`Invalid ${name} response: ${record.lastError}`, { name, errors, answer });
+    }
+
+    console.warn(`⚠️ Invalid ${name} response (${record.lastError}), asking for a repair`);
+
+    const repair = await promptTemplates.render('repairJson', {
+      prompt,
+      answer: answer || '(empty)',
+      errors: errors.map(error => `- ${error}`).join('\n'),
+      schema: JSON.stringify(schema)
+    });
+    answer = await ask(repair.text);
+  }
+}
+
+function getValidationStats() {
+  return Object.fromEntries(Array.from(stats, ([name, record]) => [name, { ...record }]));
+}
+
+module.exports = {
+  generateStructured,
+  getValidationStats,
+  StructuredOutputError
+};
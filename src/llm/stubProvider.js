@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+const CAPTIONS = [
+  'Golden hour and a little bit of trouble ✨',
+  'Soft light, bold energy 💫',
+  'Confidence looks good on me 🔥'
+];
+
+/**
+ * Offline provider with deterministic answers, for tests and dry runs.
+ * Schema requests get JSON built from the schema (true for booleans, the
+ * given hashtags for hashtag lists, minItems entries for other lists, a
+ * caption picked by a hash of the prompt for strings); plain YES/NO
+ * questions get "YES". `options.response` replaces every answer. Every
+ * call is kept in `calls`.
+ */
+class StubProvider {
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.options = options;
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async generateText(prompt, options = {}) {
+    this.calls.push({ type: 'text', prompt });
+    return this.answer(prompt, options);
+  }
+
+  async generateVision(prompt, images, options = {}) {
+    this.calls.push({ type: 'vision', prompt, images: images.length });
+    return this.answer(prompt, options);
+  }
+
+  answer(prompt, { schema } = {}) {
+    if (this.options.response) {
+      return this.options.response;
+    }
+
+    if (schema) {
+      return JSON.stringify(this.fromSchema(schema, prompt));
+    }
+
+    return /\bYES\b.*\bNO\b/s.test(prompt) ? 'YES' : this.pickCaption(prompt);
+  }
+
+  fromSchema(schema, prompt, key = null) {
+    switch (schema.type) {
+      case 'object':
+        return Object.fromEntries(Object.entries(schema.properties || {})
+          .map(([property, propertySchema]) => [property, this.fromSchema(propertySchema, prompt, property)]));
+      case 'array': {
+        if (key !== 'hashtags') {
+          return Array.from({ length: schema.minItems || 0 }, (item, index) => this.fromSchema(schema.items || {}, prompt, `${key} ${index + 1}`));
+        }
+
+        const hashtagList = /<hashtags>\s*(.+)/.exec(prompt);
+        const hashtags = hashtagList ? hashtagList[1].split(',').map(tag => tag.trim()) : [];
+        return hashtags.slice(0, schema.maxItems || hashtags.length);
+      }
+      case 'boolean':
+        return true;
+      case 'number':
+      case 'integer':
+        return 0;
+      default:
+        return key === 'caption' ? this.pickCaption(prompt) : `stub ${key || 'answer'}`;
+    }
+  }
+
+  pickCaption(prompt) {
+    const hash = crypto.createHash('sha1').update(prompt).digest();
+    return CAPTIONS[hash[0] % CAPTIONS.length];
+  }
+}
+
+module.exports = { StubProvider };
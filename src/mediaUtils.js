@@ -0,0 +1,67 @@
+const path = require('path');
+const config = require('./config');
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tiff',
+  'image/heic': '.heic',
+  'image/avif': '.avif',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/x-m4v': '.m4v'
+};
+
+function extensionForMime(mimeType, fallback = '.bin') {
+  return MIME_EXTENSIONS[mimeType] || fallback;
+}
+
+function mimeTypeFor(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.jpeg') return 'image/jpeg';
+
+  const entry = Object.entries(MIME_EXTENSIONS).find(([, extension]) => extension === ext);
+  return entry ? entry[0] : 'application/octet-stream';
+}
+
+// 'photo', 'video' or 'gif', based on the file extension
+function getMediaType(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.gif') return 'gif';
+  if (config.constants.supportedVideoTypes.includes(ext)) return 'video';
+  return 'photo';
+}
+
+function isVideo(filePath) {
+  return getMediaType(filePath) !== 'photo';
+}
+
+/**
+ * Splits media into groups X accepts in a single post: the photos together
+ * (up to maxImagesPerPost), while every video or GIF gets its own post since
+ * X doesn't allow them alongside photos.
+ */
+function splitForTwitter(filePaths) {
+  const photos = filePaths.filter(filePath => !isVideo(filePath)).slice(0, config.app.maxImagesPerPost);
+  const videos = filePaths.filter(filePath => isVideo(filePath));
+
+  const groups = videos.map(filePath => [filePath]);
+  if (photos.length > 0) {
+    // Keep the photo album first
+    groups.unshift(photos);
+  }
+
+  return groups;
+}
+
+module.exports = {
+  extensionForMime,
+  mimeTypeFor,
+  getMediaType,
+  isVideo,
+  splitForTwitter
+};
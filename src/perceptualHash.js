@@ -0,0 +1,43 @@
+const sharp = require('sharp');
+
+// The image is shrunk to (HASH_SIZE + 1) × HASH_SIZE greys: one bit per neighbouring pair
+const HASH_SIZE = 8;
+
+/**
+ * 64-bit difference hash (dHash) of an image, as 16 hex chars. Each bit says
+ * whether a pixel of a tiny greyscale copy is darker than its right-hand
+ * neighbour, so recompression, resizing and small edits flip only a few
+ * bits while a different photo flips about half of them.
+ */
+async function dHash(input) {
+  const pixels = await sharp(input)
+    .greyscale()
+    .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      const offset = y * (HASH_SIZE + 1) + x;
+      hash = (hash << 1n) | (pixels[offset] < pixels[offset + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
+}
+
+// Number of differing bits between two hashes (0 = same picture, ~32 = unrelated)
+function hammingDistance(a, b) {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+
+  while (difference) {
+    count += Number(difference & 1n);
+    difference >>= 1n;
+  }
+
+  return count;
+}
+
+module.exports = { dHash, hammingDistance };
@@ -0,0 +1,201 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const { hammingDistance } = require('./perceptualHash');
+
+/**
+ * Persisted record of published posts, keyed by their Telegram source.
+ * Maps channel message IDs (and media group IDs) to the tweet they produced
+ * so edits and deletions in the channel can be mirrored.
+ */
+class PostHistory {
+  constructor() {
+    this.filePath = config.postHistory.path;
+    this.maxEntries = config.postHistory.maxEntries;
+    this.entries = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    try {
+      this.entries = await fs.pathExists(this.filePath) ? await fs.readJson(this.filePath) : [];
+      this.entries.forEach(entry => this.migrate(entry));
+    } catch (error) {
+      console.error('❌ Error loading post history:', error);
+      this.entries = [];
+    }
+
+    return this.entries;
+  }
+
+  // Older entries only list photo file IDs (`fileIds`)
+  migrate(entry) {
+    if (!entry.media) {
+      entry.media = (entry.fileIds || []).map(fileId => ({ fileId, type: 'photo', extension: '.jpg' }));
+      delete entry.fileIds;
+    }
+  }
+
+  save() {
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(tempPath, this.entries, { spaces: 2 });
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+      })
+      .catch(error => {
+        console.error('❌ Error saving post history:', error);
+      });
+
+    return this.writeChain;
+  }
+
+  async record(entry) {
+    const entries = await this.load();
+    const now = Date.now();
+
+    const record = {
+      id: `${now.toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+      chatId: entry.chatId != null ? String(entry.chatId) : null,
+      chatUsername: entry.chatUsername || null,
+      messageIds: entry.messageIds || [],
+      mediaGroupId: entry.mediaGroupId ? String(entry.mediaGroupId) : null,
+      captionMessageId: entry.captionMessageId ?? null, // Album item the caption came from
+      media: entry.media || [], // [{ fileId, type, extension, hash }] to re-download on repost; hash: photos' dHash
+      channelName: entry.channelName || null,
+      accountId: entry.accountId || null,
+      markId: entry.markId || null, // {postId} of text watermarks, for /trace
+      caption: entry.caption || '',
+      tweetCaption: entry.tweetCaption || '',
+      promptVersions: entry.promptVersions || [], // Prompt templates that wrote tweetCaption, as "name@version"
+      language: entry.language || null, // { source, target, action } decided for the caption
+      tweetUrl: entry.tweetUrl || null,
+      publications: entry.publications || {}, // destination -> { url, id }
+      postedAt: now,
+      deletedAt: null
+    };
+
+    entries.push(record);
+
+    // Oldest entries fall off once the history is full
+    if (entries.length > this.maxEntries) {
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+
+    await this.save();
+    return record;
+  }
+
+  // Every live entry made from a message: one per routed account (and per
+  // post an album was split into), newest first
+  async findAllByMessage(chatId, messageId) {
+    const entries = await this.load();
+
+    return entries
+      .filter(entry => !entry.deletedAt &&
+                       entry.chatId === String(chatId) &&
+                       entry.messageIds.includes(Number(messageId)))
+      .reverse();
+  }
+
+  async findAllByChannelUsername(username, messageId) {
+    const entries = await this.load();
+    const wanted = username.replace(/^@/, '').toLowerCase();
+
+    return entries
+      .filter(entry => !entry.deletedAt &&
+                       entry.chatUsername &&
+                       entry.chatUsername.toLowerCase() === wanted &&
+                       entry.messageIds.includes(Number(messageId)))
+      .reverse();
+  }
+
+  // The entry whose images carry a text watermark's post ID, deleted or not
+  async findByMarkId(markId) {
+    const entries = await this.load();
+    const wanted = markId.trim().toLowerCase();
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].markId === wanted) {
+        return entries[i];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * The closest live post of `accountId` since `since` (ms timestamp) with a
+   * photo within `threshold` bits of one of `hashes`, as { entry, distance,
+   * image } (`image`: index into `hashes`), or null.
+   */
+  async findSimilar(hashes, { accountId, since, threshold }) {
+    const entries = await this.load();
+    let best = null;
+
+    for (const entry of entries) {
+      if (entry.deletedAt || entry.postedAt < since || (entry.accountId || null) !== (accountId || null)) {
+        continue;
+      }
+
+      for (const media of entry.media) {
+        if (!media.hash) {
+          continue;
+        }
+
+        hashes.forEach((hash, image) => {
+          const distance = hash ? hammingDistance(hash, media.hash) : Infinity;
+          if (distance <= threshold && (!best || distance <= best.distance)) {
+            best = { entry, distance, image };
+          }
+        });
+      }
+    }
+
+    return best;
+  }
+
+  async findByMediaGroup(mediaGroupId) {
+    const entries = await this.load();
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (!entries[i].deletedAt && entries[i].mediaGroupId === String(mediaGroupId)) {
+        return entries[i];
+      }
+    }
+
+    return null;
+  }
+
+  // Entries recorded before multi-destination publishing only have tweetUrl
+  getPublications(entry) {
+    if (entry.publications && Object.keys(entry.publications).length > 0) {
+      return entry.publications;
+    }
+
+    return entry.tweetUrl ? { x: { url: entry.tweetUrl } } : {};
+  }
+
+  getUrls(entry) {
+    return Object.values(this.getPublications(entry)).map(publication => publication.url);
+  }
+
+  async markDeleted(entryId) {
+    const entries = await this.load();
+    const entry = entries.find(item => item.id === entryId);
+
+    if (entry) {
+      entry.deletedAt = Date.now();
+      await this.save();
+    }
+
+    return entry || null;
+  }
+}
+
+module.exports = new PostHistory();
@@ -0,0 +1,354 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const imageWatermark = require('./imageWatermark');
+const videoWatermark = require('./videoWatermark');
+const { isVideo } = require('./mediaUtils');
+const watermarkCache = require('./watermarkCache');
+const captionBuilder = require('./captionBuilder');
+const { getEnabledPublishers, getPublisher } = require('./publishers');
+const telegramLogger = require('./telegramLogger');
+const postHistory = require('./postHistory');
+const captionHistory = require('./captionHistory');
+const routing = require('./routing');
+const contentGuard = require('./contentGuard');
+const { ContentBlockedError } = contentGuard;
+const { markId, markFields, renderTemplate } = require('./textWatermark');
+
+/**
+ * The watermark → caption → post pipeline for a single Telegram post.
+ * Post data is plain JSON ({ images, caption, channelName, accountId }) so it can be
+ * journaled by the queue and replayed after a restart. Once watermarking
+ * and captioning are done the result is stored on `postData.prepared`, so
+ * approved previews are posted exactly as they were shown.
+ */
+class PostPipeline {
+  async run(postData) {
+    const prepared = postData.prepared || await this.prepare(postData);
+
+    const { publications, ambiguous } = await this.publish(prepared, postData);
+    const published = Object.values(publications);
+
+    // Only retry the job when nothing went out; a partial retry would duplicate posts
+    if (published.length === 0) {
+      const error = new Error('Failed to publish to any destination');
+      // A destination that may have posted anyway must be checked by hand, not posted to again
+      if (ambiguous.length > 0) {
+        error.retryable = false;
+      }
+      throw error;
+    }
+
+    // Remember which channel message produced these posts (for edits/deletes)
+    if (postData.source) {
+      await postHistory.record({
+        ...postData.source,
+        channelName: postData.channelName,
+        caption: postData.caption,
+        tweetCaption: prepared.caption,
+        promptVersions: prepared.promptVersions || [],
+        language: prepared.language || null,
+        accountId: postData.accountId || null,
+        markId: markId(postData),
+        tweetUrl: publications.x?.url || null,
+        publications
+      });
+    }
+
+    await captionHistory.record(prepared.caption, { accountId: postData.accountId || null });
+
+    await this.cleanupTempImages(postData);
+    await watermarkCache.release(markId(postData));
+
+    return published[0].url;
+  }
+
+  // Fans the post out to every enabled destination; one failing doesn't stop the others.
+  // Returns { publications, ambiguous }: destination -> { url, id }, and the
+  // destinations that failed in a way that may still have posted
+  async publish(prepared, postData) {
+    const account = routing.getAccount(postData.accountId);
+    const publishers = getEnabledPublishers(account.publishers || undefined);
+    if (publishers.length === 0) {
+      throw new Error('No publishing destinations are enabled and configured');
+    }
+
+    const meta = {
+      accountId: account.id,
+      channelName: postData.channelName,
+      source: postData.source || null,
+      originalCaption: postData.caption,
+      altTexts: prepared.altTexts || {}
+    };
+    const results = await Promise.allSettled(publishers.map(publisher => {
+      const images = prepared.images.filter(imagePath => publisher.supportsMedia(imagePath));
+      if (images.length === 0) {
+        return Promise.resolve(null);
+      }
+
+      return publisher.publish(images, prepared.caption, meta);
+    }));
+
+    const publications = {};
+    const ambiguous = []; // Destinations whose failure doesn't say whether the post went out
+    const lines = [];
+
+    results.forEach((result, index) => {
+      const publisher = publishers[index];
+
+      if (result.status === 'fulfilled' && result.value) {
+        publications[publisher.name] = result.value;
+        telegramLogger.recordPublishResult(publisher.name, true);
+        console.log(`✅ Published to ${publisher.label}: ${result.value.url}`);
+        lines.push(`✅ ${publisher.label}: ${result.value.url}`);
+      } else if (result.status === 'fulfilled') {
+        console.log(`⏭️ Skipped ${publisher.label}: no supported media`);
+        lines.push(`⏭️ ${publisher.label}: skipped (no supported media)`);
+      } else {
+        telegramLogger.recordPublishResult(publisher.name, false, result.reason);
+        console.error(`❌ Failed to publish to ${publisher.label}:`, result.reason);
+        lines.push(`❌ ${publisher.label}: ${telegramLogger.escapeHtml(result.reason.message)}`);
+        if (result.reason.ambiguous) {
+          ambiguous.push(publisher.name);
+          lines.push(`❓ It may have been posted anyway; check ${publisher.label} before posting it again`);
+        }
+      }
+    });
+
+    const publishedCount = Object.keys(publications).length;
+    const level = publishedCount === results.length ? 'success' : publishedCount > 0 ? 'warning' : 'error';
+    const languageLine = prepared.language ? `\n🌐 ${telegramLogger.escapeHtml(captionBuilder.formatLanguageDecision(prepared.language))}` : '';
+    await telegramLogger.log(`📣 Published to ${publishedCount}/${results.length} destination(s)\n\n${lines.join('\n')}${languageLine}`, level);
+
+    return { publications, ambiguous };
+  }
+
+  async prepare(postData) {
+    console.log(`🔄 Processing ${postData.images.length} media file(s) for posting...`);
+
+    const account = routing.getAccount(postData.accountId);
+    const source = postData.source || {};
+    const placement = routing.getWatermarkPlacement(account.id, { id: source.chatId, username: source.chatUsername });
+    const markText = placement.content === 'logo' ? null : renderTemplate(placement.text, markFields(postData, account));
+    const forensic = config.forensic.enabled ? { postId: markId(postData), accountId: account.id } : null;
+
+    // Get watermarked images (use existing or create new)
+    const watermarkedImages = await this.getWatermarkedImages(postData.images, account, placement, { markText, forensic }, markId(postData));
+
+    if (watermarkedImages.length === 0) {
+      throw new Error('No watermarked images available');
+    }
+
+    let built;
+    try {
+      built = await this.buildCaption(postData, watermarkedImages);
+    } catch (error) {
+      if (error instanceof ContentBlockedError) {
+        await this.reportBlocked(postData, error);
+        await this.discard({ ...postData, prepared: { images: watermarkedImages } });
+      }
+      throw error;
+    }
+
+    return { images: watermarkedImages, ...built };
+  }
+
+  // Tells the log group why a post was stopped; it is not retried
+  async reportBlocked(postData, error) {
+    console.warn(`🚫 ${error.message}`);
+    await telegramLogger.logWarning(
+      `🚫 Post from ${telegramLogger.escapeHtml(postData.channelName || 'Unknown')} for ${telegramLogger.escapeHtml(postData.accountId || routing.getDefaultAccount().id)} was blocked\n` +
+      `Reason: ${telegramLogger.escapeHtml(error.reason)}\n\n` +
+      `<b>Caption:</b>\n${telegramLogger.escapeHtml(error.caption || '')}`
+    );
+  }
+
+  /**
+   * Returns { caption, promptVersions, language, altTexts }: the prompt
+   * templates used, the language decision and the alt text of each media
+   * file, by path. Throws a ContentBlockedError when the caption doesn't
+   * pass the content guard.
+   */
+  async buildCaption(postData, watermarkedImages) {
+    const account = routing.getAccount(postData.accountId);
+    const source = postData.source || {};
+    const chat = { id: source.chatId, username: source.chatUsername };
+    const details = {};
+    const { caption: channelCaption, altTexts: altTextOverrides } = captionBuilder.extractAltText(postData.caption);
+    const analysisImages = await this.getAnalysisImages(watermarkedImages);
+
+    try {
+      // Build caption with hashtags; the vision model sees every image
+      const caption = await captionBuilder.buildCaption(
+        channelCaption,
+        analysisImages,
+        this.extractChannelHashtags(channelCaption),
+        {
+          fixedHashtags: account.fixedHashtags,
+          persona: routing.getPersona(account.id, chat),
+          languageSettings: routing.getLanguageSettings(account.id, chat),
+          channelName: postData.channelName,
+          details
+        }
+      );
+
+      await contentGuard.review(caption);
+
+      const altTexts = await captionBuilder.buildAltTexts(analysisImages, { overrides: altTextOverrides, details });
+
+      return {
+        caption,
+        promptVersions: details.promptVersions || [],
+        language: details.language || null,
+        altTexts: Object.fromEntries(watermarkedImages.map((mediaPath, index) => [mediaPath, altTexts[index]]).filter(([, text]) => text))
+      };
+    } finally {
+      // Video frames were only extracted for the vision model
+      await this.removeAnalysisImages(analysisImages, watermarkedImages);
+    }
+  }
+
+  // The vision model needs still images: photos as they are, a frame of each video
+  async getAnalysisImages(mediaPaths) {
+    const stills = [];
+    for (const mediaPath of mediaPaths) {
+      stills.push(isVideo(mediaPath) ? await videoWatermark.extractFrame(mediaPath) : mediaPath);
+    }
+    return stills;
+  }
+
+  async removeAnalysisImages(stills, mediaPaths) {
+    for (const still of stills) {
+      if (still && !mediaPaths.includes(still)) {
+        await fs.remove(still).catch(error => console.error(`Error removing ${still}:`, error));
+      }
+    }
+  }
+
+  getWatermarker(mediaPath) {
+    return isVideo(mediaPath) ? videoWatermark : imageWatermark;
+  }
+
+  // Delete everything a channel post produced and forget the mapping
+  async unpost(entry) {
+    const publications = postHistory.getPublications(entry);
+    const names = Object.keys(publications);
+
+    if (names.length === 0) {
+      throw new Error('No published posts recorded for this entry');
+    }
+
+    const results = await Promise.allSettled(names.map(name => {
+      const publisher = getPublisher(name);
+      if (!publisher) {
+        return Promise.reject(new Error(`Unknown publisher "${name}"`));
+      }
+
+      return publisher.unpublish(publications[name]);
+    }));
+
+    const failures = results
+      .map((result, index) => (result.status === 'rejected' ? `${names[index]}: ${result.reason.message}` : null))
+      .filter(Boolean);
+
+    if (failures.length === names.length) {
+      throw new Error(`Could not delete any post (${failures.join('; ')})`);
+    }
+
+    if (failures.length > 0) {
+      await telegramLogger.logWarning(`⚠️ Some posts could not be deleted:\n${telegramLogger.escapeHtml(failures.join('\n'))}`);
+    }
+
+    await postHistory.markDeleted(entry.id);
+  }
+
+  extractChannelHashtags(caption) {
+    // Extract channel hashtags from original caption if present
+    if (!caption) {
+      return [];
+    }
+
+    return caption.match(/#[a-zA-Z0-9_]+/g) || [];
+  }
+
+  // `marks` holds the text line and forensic payload of the post, if any.
+  // Outputs come from the watermark cache when the same bytes were already
+  // watermarked the same way; `holder` (the post's markId) keeps them there
+  // until the post is published or discarded
+  async getWatermarkedImages(imagePaths, account = routing.getDefaultAccount(), placement = routing.getWatermarkPlacement(account.id), marks = {}, holder = null) {
+    const watermarkedImages = [];
+
+    // Accounts with the same logo and placement share outputs; the logo path is part of the key.
+    // A random position is drawn per post, so those outputs are only reused by the same post
+    const options = {
+      watermarkPath: account.watermark,
+      placement,
+      markText: marks.markText || null,
+      forensic: marks.forensic || null,
+      seed: placement.mode === 'random' ? holder : null
+    };
+
+    for (const imagePath of imagePaths) {
+      try {
+        const watermarker = this.getWatermarker(imagePath);
+        const sourceOptions = { ...options, sourceHash: await watermarkCache.hashFile(imagePath) };
+        const key = watermarkCache.keyOf(watermarker.getOutputPath(imagePath, sourceOptions));
+
+        // Reuse the output of an identical file watermarked with the same settings
+        const cachedPath = await watermarkCache.acquire(key, holder);
+        if (cachedPath) {
+          console.log(`♻️ Using cached watermarked image: ${path.basename(cachedPath)}`);
+          watermarkedImages.push(cachedPath);
+        } else {
+          // Create new watermarked image
+          console.log(`🎨 Creating watermark for: ${path.basename(imagePath)}`);
+          const newWatermarkedPath = await watermarker.addWatermark(imagePath, sourceOptions);
+
+          if (newWatermarkedPath && await fs.pathExists(newWatermarkedPath)) {
+            await watermarkCache.store(key, newWatermarkedPath, holder);
+            watermarkedImages.push(newWatermarkedPath);
+            console.log(`✅ Watermark created: ${path.basename(newWatermarkedPath)}`);
+          } else {
+            console.warn(`⚠️ Failed to create watermark for: ${path.basename(imagePath)}`);
+            // Fallback: use original image if watermarking fails
+            watermarkedImages.push(imagePath);
+          }
+        }
+      } catch (error) {
+        console.error(`Error processing watermark for ${imagePath}:`, error);
+        // Fallback: use original image
+        watermarkedImages.push(imagePath);
+      }
+    }
+
+    return watermarkedImages;
+  }
+
+  // Remove everything a post produced when it will never be published.
+  // Its watermarked outputs stay cached until they expire, others may share them
+  async discard(postData) {
+    await this.cleanupTempImages(postData);
+    await watermarkCache.release(markId(postData));
+  }
+
+  async cleanupTempImages(postData) {
+    // Cleanup temp files if enabled
+    if (!config.app.tempCleanupEnabled) {
+      return;
+    }
+
+    try {
+      // Clean up original temp images
+      for (const imagePath of postData.images) {
+        if (await fs.pathExists(imagePath)) {
+          await fs.remove(imagePath);
+          console.log(`🗑️ Cleaned up temp file: ${path.basename(imagePath)}`);
+        }
+      }
+    } catch (cleanupError) {
+      console.error('Error during cleanup:', cleanupError);
+    }
+  }
+}
+
+module.exports = new PostPipeline();
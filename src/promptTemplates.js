@@ -0,0 +1,95 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * LLM prompts kept as text files in presets/prompts/ so their wording can
+ * change without a deploy. A template starts with a small header:
+ *
+ *   ---
+ *   version: 3
+ *   description: What the prompt is for
+ *   data: caption, avoid
+ *   ---
+ *
+ * `{{name}}` is replaced by a variable and `{{#name}}...{{/name}}` is only
+ * kept when the variable is set. Variables listed under `data` come from
+ * outside (channel posts, scraped hashtags) and are rendered between
+ * `<name>` tags, so the prompt can tell the model to treat them as data and
+ * not as instructions. Files are re-read when they change.
+ */
+class PromptTemplates {
+  constructor() {
+    this.cache = new Map(); // name -> { mtimeMs, template }
+  }
+
+  async load(name) {
+    const filePath = path.join(config.paths.presets.prompts, `${name}.txt`);
+    const { mtimeMs } = await fs.stat(filePath).catch(() => {
+      throw new Error(`Prompt template "${name}" not found in ${config.paths.presets.prompts}`);
+    });
+
+    const cached = this.cache.get(name);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.template;
+    }
+
+    const template = this.parse(name, await fs.readFile(filePath, 'utf8'));
+    this.cache.set(name, { mtimeMs, template });
+    return template;
+  }
+
+  parse(name, source) {
+    const meta = {};
+    let body = source;
+
+    const header = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/.exec(source);
+    if (header) {
+      for (const line of header[1].split(/\r?\n/)) {
+        const match = /^\s*(\w+)\s*:\s*(.*?)\s*$/.exec(line);
+        if (match) meta[match[1]] = match[2];
+      }
+      body = source.slice(header[0].length);
+    }
+
+    const version = meta.version || '0';
+    const data = (meta.data || '').split(',').map(key => key.trim()).filter(Boolean);
+    return { name, version, id: `${name}@${version}`, description: meta.description || '', data, body };
+  }
+
+  /**
+   * Renders a template. Returns { text, id, version }; `id` ("name@version")
+   * is what gets recorded with the caption the prompt produced.
+   */
+  async render(name, variables = {}) {
+    const template = await this.load(name);
+    const isSet = (key) => {
+      const value = variables[key];
+      return Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== '';
+    };
+    const format = (key) => {
+      const value = Array.isArray(variables[key]) ? variables[key].join(', ') : String(variables[key]);
+      return template.data.includes(key) ? `<${key}>\n${escapeData(value)}\n</${key}>` : value;
+    };
+
+    const text = template.body
+      .replace(/\{\{#(\w+)\}\}\r?\n?([\s\S]*?)\{\{\/\1\}\}\r?\n?/g, (match, key, inner) => (isSet(key) ? inner : ''))
+      .replace(/\{\{(\w+)\}\}/g, (match, key) => (isSet(key) ? format(key) : ''))
+      .trim();
+
+    return { text, id: template.id, version: template.version };
+  }
+
+  async list() {
+    const files = await fs.readdir(config.paths.presets.prompts).catch(() => []);
+    const names = files.filter(file => file.endsWith('.txt')).map(file => path.basename(file, '.txt'));
+    return Promise.all(names.sort().map(name => this.load(name)));
+  }
+}
+
+// Tag look-alikes inside data would let it close its own delimiter early
+function escapeData(value) {
+  return value.replace(/<(\/?\s*[a-z_][\w-]*\s*)>/gi, '‹$1›');
+}
+
+module.exports = new PromptTemplates();
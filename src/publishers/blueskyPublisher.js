@@ -0,0 +1,164 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const config = require('../config');
+const { isVideo, mimeTypeFor } = require('../mediaUtils');
+const { formatCaption, findHashtags } = require('./captionFormatter');
+
+// Expiry (ms) from a JWT's payload; 0 when it can't be read
+function tokenExpiry(jwt) {
+  try {
+    return JSON.parse(Buffer.from(jwt.split('.')[1], 'base64url').toString()).exp * 1000 || 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+// Bluesky through the AT Protocol XRPC API: uploadBlob then createRecord
+class BlueskyPublisher {
+  constructor(options = config.bluesky) {
+    this.name = 'bluesky';
+    this.label = 'Bluesky';
+    this.options = options;
+    this.session = null;
+  }
+
+  isConfigured() {
+    return !!(this.options.identifier && this.options.appPassword);
+  }
+
+  // Only image embeds are supported
+  supportsMedia(filePath) {
+    return !isVideo(filePath);
+  }
+
+  formatCaption(caption) {
+    return formatCaption(caption, { maxLength: this.options.maxLength, unit: 'graphemes', hashtags: this.options.hashtags });
+  }
+
+  async publish(images, caption, meta = {}) {
+    const session = await this.getSession();
+    const text = this.formatCaption(caption);
+
+    const embedImages = [];
+    for (const imagePath of images.slice(0, 4)) {
+      const { data, mimeType, width, height } = await this.prepareImage(imagePath);
+      const upload = await this.request('POST', 'com.atproto.repo.uploadBlob', session, {
+        data,
+        headers: { 'Content-Type': mimeType }
+      });
+
+      embedImages.push({ alt: meta.altTexts?.[imagePath] || '', image: upload.blob, aspectRatio: { width, height } });
+    }
+
+    const record = {
+      $type: 'app.bsky.feed.post',
+      text,
+      facets: this.buildHashtagFacets(text),
+      createdAt: new Date().toISOString()
+    };
+
+    if (embedImages.length > 0) {
+      record.embed = { $type: 'app.bsky.embed.images', images: embedImages };
+    }
+
+    const created = await this.request('POST', 'com.atproto.repo.createRecord', session, {
+      data: { repo: session.did, collection: 'app.bsky.feed.post', record }
+    });
+
+    const rkey = created.uri.split('/').pop();
+    return { url: `https://bsky.app/profile/${session.handle}/post/${rkey}`, id: created.uri };
+  }
+
+  async unpublish(publication) {
+    const session = await this.getSession();
+    const rkey = publication.id.split('/').pop();
+
+    await this.request('POST', 'com.atproto.repo.deleteRecord', session, {
+      data: { repo: session.did, collection: 'app.bsky.feed.post', rkey }
+    });
+  }
+
+  // The session is reused until its access token is about to expire, then refreshed
+  async getSession() {
+    if (this.session && tokenExpiry(this.session.accessJwt) > Date.now() + 60 * 1000) {
+      return this.session;
+    }
+
+    if (this.session && tokenExpiry(this.session.refreshJwt) > Date.now() + 60 * 1000) {
+      try {
+        this.session = await this.request('POST', 'com.atproto.server.refreshSession', { accessJwt: this.session.refreshJwt });
+        return this.session;
+      } catch (error) {
+        console.warn(`⚠️ ${error.message}, logging in again`);
+      }
+    }
+
+    this.session = await this.createSession();
+    return this.session;
+  }
+
+  async createSession() {
+    return await this.request('POST', 'com.atproto.server.createSession', null, {
+      data: { identifier: this.options.identifier, password: this.options.appPassword }
+    });
+  }
+
+  // Facet offsets are UTF-8 byte positions, not string indexes
+  buildHashtagFacets(text) {
+    return findHashtags(text).map(({ tag, index, length }) => {
+      const byteStart = Buffer.byteLength(text.substring(0, index));
+      const byteEnd = byteStart + Buffer.byteLength(text.substring(index, index + length));
+
+      return {
+        index: { byteStart, byteEnd },
+        features: [{ $type: 'app.bsky.richtext.facet#tag', tag }]
+      };
+    });
+  }
+
+  // Blobs are capped at ~1 MB, so larger images are re-encoded as JPEG
+  async prepareImage(imagePath) {
+    const metadata = await sharp(imagePath).metadata();
+    const size = { width: metadata.width, height: metadata.height };
+
+    const original = await fs.readFile(imagePath);
+    if (original.length <= this.options.maxBlobSize) {
+      return { data: original, mimeType: mimeTypeFor(imagePath), ...size };
+    }
+
+    for (const [maxDimension, quality] of [[2000, 85], [2000, 70], [1600, 70], [1200, 60]]) {
+      const { data, info } = await sharp(imagePath)
+        .rotate()
+        .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality })
+        .toBuffer({ resolveWithObject: true });
+
+      if (data.length <= this.options.maxBlobSize) {
+        return { data, mimeType: 'image/jpeg', width: info.width, height: info.height };
+      }
+    }
+
+    throw new Error(`Image too large for Bluesky even after compression: ${imagePath}`);
+  }
+
+  async request(method, nsid, session, { data, headers = {} } = {}) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.options.serviceUrl}/xrpc/${nsid}`,
+        headers: session ? { Authorization: `Bearer ${session.accessJwt}`, ...headers } : headers,
+        data,
+        timeout: 60000,
+        maxBodyLength: Infinity
+      });
+
+      return response.data || {};
+    } catch (error) {
+      const detail = error.response?.data?.message || error.response?.data?.error || error.message;
+      throw new Error(`Bluesky ${nsid} failed: ${detail}`);
+    }
+  }
+}
+
+module.exports = { BlueskyPublisher };
@@ -0,0 +1,88 @@
+const { getTweetLength, truncateTweet } = require('../tweetLength');
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// 'chars' counts code points (Mastodon, Telegram); 'graphemes' counts
+// user-perceived characters (Bluesky); 'twitter' uses X's weighted count
+function countLength(text, unit = 'chars') {
+  if (unit === 'twitter') {
+    return getTweetLength(text);
+  }
+
+  if (unit === 'graphemes') {
+    return Array.from(segmenter.segment(text)).length;
+  }
+
+  return Array.from(text).length;
+}
+
+function truncateText(text, maxLength, unit) {
+  if (unit === 'twitter') {
+    return truncateTweet(text, maxLength);
+  }
+
+  const ellipsis = '…';
+  const parts = unit === 'graphemes'
+    ? Array.from(segmenter.segment(text), part => part.segment)
+    : Array.from(text);
+
+  let truncated = parts.slice(0, maxLength - 1).join('');
+
+  // Prefer cutting at a word boundary when one is reasonably close
+  const lastSpace = truncated.lastIndexOf(' ');
+  if (lastSpace > truncated.length * 0.6) {
+    truncated = truncated.substring(0, lastSpace);
+  }
+
+  return truncated.trimEnd() + ellipsis;
+}
+
+/**
+ * Fits a caption to a destination's rules.
+ * Options: maxLength, unit ('chars' | 'graphemes' | 'twitter') and hashtags
+ * ('keep' | 'strip'). Trailing hashtags are dropped one at a time before
+ * the text itself is cut.
+ */
+function formatCaption(caption, { maxLength, unit = 'chars', hashtags = 'keep' } = {}) {
+  let text = (caption || '').trim();
+
+  if (hashtags === 'strip') {
+    text = text.replace(/(^|\s)#[\p{L}\p{N}_]+/gu, '$1').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  if (!maxLength || countLength(text, unit) <= maxLength) {
+    return text;
+  }
+
+  // Drop trailing hashtags first, they are the least important part
+  const trailing = /\s+#[\p{L}\p{N}_]+\s*$/u;
+  while (countLength(text, unit) > maxLength && trailing.test(text)) {
+    text = text.replace(trailing, '');
+  }
+
+  if (countLength(text, unit) <= maxLength) {
+    return text;
+  }
+
+  return truncateText(text, maxLength, unit);
+}
+
+// Hashtags with their position in the text, for destinations that link them
+function findHashtags(text) {
+  const hashtags = [];
+  const pattern = /(^|\s)(#([\p{L}\p{N}_]+))/gu;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const index = match.index + match[1].length;
+    hashtags.push({ tag: match[3], index, length: match[2].length });
+  }
+
+  return hashtags;
+}
+
+module.exports = {
+  countLength,
+  formatCaption,
+  findHashtags
+};
@@ -0,0 +1,56 @@
+const config = require('../config');
+const { XPublisher } = require('./xPublisher');
+const { MastodonPublisher } = require('./mastodonPublisher');
+const { BlueskyPublisher } = require('./blueskyPublisher');
+const { TelegramPublisher } = require('./telegramPublisher');
+
+/**
+ * Publisher registry. A publisher is any object with:
+ *   name, label
+ *   isConfigured() → boolean
+ *   supportsMedia(filePath) → boolean
+ *   formatCaption(caption) → string
+ *   publish(images, caption, meta) → { url, id? }
+ *   unpublish(publication)
+ * `meta.altTexts` maps media paths to their alt text, for destinations
+ * that take one. Destinations listed in PUBLISHERS are used in that order.
+ */
+const publishers = new Map();
+
+function registerPublisher(publisher) {
+  publishers.set(publisher.name, publisher);
+}
+
+function getPublisher(name) {
+  return publishers.get(name) || null;
+}
+
+// `names` lets a routed account use its own list instead of PUBLISHERS
+function getEnabledPublishers(names = config.publishers.enabled) {
+  const enabled = [];
+
+  for (const name of names) {
+    const publisher = publishers.get(name);
+
+    if (!publisher) {
+      console.warn(`⚠️ Unknown publisher "${name}" in PUBLISHERS, ignoring`);
+    } else if (!publisher.isConfigured()) {
+      console.warn(`⚠️ Publisher "${name}" is enabled but not configured, ignoring`);
+    } else {
+      enabled.push(publisher);
+    }
+  }
+
+  return enabled;
+}
+
+registerPublisher(new XPublisher());
+registerPublisher(new MastodonPublisher());
+registerPublisher(new BlueskyPublisher());
+registerPublisher(new TelegramPublisher());
+
+module.exports = {
+  registerPublisher,
+  getPublisher,
+  getEnabledPublishers
+};
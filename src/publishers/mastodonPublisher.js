@@ -0,0 +1,95 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const { mimeTypeFor } = require('../mediaUtils');
+const { formatCaption } = require('./captionFormatter');
+
+// Mastodon through the REST API: media upload (v2) then a status
+class MastodonPublisher {
+  constructor(options = config.mastodon) {
+    this.name = 'mastodon';
+    this.label = 'Mastodon';
+    this.options = options;
+  }
+
+  isConfigured() {
+    return !!(this.options.instanceUrl && this.options.accessToken);
+  }
+
+  supportsMedia() {
+    return true;
+  }
+
+  formatCaption(caption) {
+    return formatCaption(caption, { maxLength: this.options.maxLength, hashtags: this.options.hashtags });
+  }
+
+  async publish(images, caption, meta = {}) {
+    const mediaIds = [];
+    for (const imagePath of images.slice(0, 4)) {
+      mediaIds.push(await this.uploadMedia(imagePath, meta.altTexts?.[imagePath]));
+    }
+
+    const status = await this.request('POST', '/api/v1/statuses', {
+      data: {
+        status: this.formatCaption(caption),
+        media_ids: mediaIds,
+        visibility: this.options.visibility,
+        sensitive: this.options.sensitive
+      },
+      // Lets the instance drop a duplicate if this request is retried
+      headers: { 'Idempotency-Key': crypto.createHash('sha1').update(images.join('|') + caption).digest('hex') }
+    });
+
+    return { url: status.url, id: status.id };
+  }
+
+  async unpublish(publication) {
+    await this.request('DELETE', `/api/v1/statuses/${publication.id}`);
+  }
+
+  async uploadMedia(filePath, description) {
+    const form = new FormData();
+    form.append('file', new Blob([await fs.readFile(filePath)], { type: mimeTypeFor(filePath) }), path.basename(filePath));
+    if (description) {
+      form.append('description', description);
+    }
+
+    let media = await this.request('POST', '/api/v2/media', { data: form });
+
+    // Large files (videos) are processed asynchronously; url stays null until ready
+    const deadline = Date.now() + this.options.mediaProcessingTimeout;
+    while (!media.url) {
+      if (Date.now() > deadline) {
+        throw new Error(`Mastodon did not finish processing ${path.basename(filePath)}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      media = await this.request('GET', `/api/v1/media/${media.id}`);
+    }
+
+    return media.id;
+  }
+
+  async request(method, endpoint, { data, headers = {} } = {}) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.options.instanceUrl}${endpoint}`,
+        headers: { Authorization: `Bearer ${this.options.accessToken}`, ...headers },
+        data,
+        timeout: 60000,
+        maxBodyLength: Infinity
+      });
+
+      return response.data || {};
+    } catch (error) {
+      const detail = error.response?.data?.error || error.message;
+      throw new Error(`Mastodon ${method} ${endpoint} failed: ${detail}`);
+    }
+  }
+}
+
+module.exports = { MastodonPublisher };
@@ -0,0 +1,87 @@
+const TelegramBot = require('node-telegram-bot-api');
+const fs = require('fs-extra');
+const config = require('../config');
+const { getMediaType, isVideo } = require('../mediaUtils');
+const { formatCaption } = require('./captionFormatter');
+
+// Mirrors published posts, watermark and caption included, into another Telegram channel
+class TelegramPublisher {
+  constructor(options = config.telegramMirror) {
+    this.name = 'telegram';
+    this.label = 'Telegram mirror';
+    this.options = options;
+    this.bot = null;
+    this.chatUsername = undefined;
+  }
+
+  isConfigured() {
+    return !!(this.options.channelId && this.options.botToken);
+  }
+
+  supportsMedia() {
+    return true;
+  }
+
+  formatCaption(caption) {
+    return formatCaption(caption, { maxLength: this.options.maxLength, hashtags: this.options.hashtags });
+  }
+
+  getBot() {
+    if (!this.bot) {
+      this.bot = new TelegramBot(this.options.botToken, { baseApiUrl: this.options.apiBaseUrl });
+    }
+
+    return this.bot;
+  }
+
+  async publish(images, caption) {
+    const bot = this.getBot();
+    const chatId = this.options.channelId;
+    const text = this.formatCaption(caption);
+    let messages;
+
+    // Media groups need 2-10 items, so a single file is sent on its own
+    if (images.length === 1) {
+      const sendMethod = { photo: 'sendPhoto', video: 'sendVideo', gif: 'sendAnimation' }[getMediaType(images[0])];
+      messages = [await bot[sendMethod](chatId, fs.createReadStream(images[0]), { caption: text })];
+    } else {
+      const media = images.slice(0, 10).map((imagePath, index) => ({
+        type: isVideo(imagePath) ? 'video' : 'photo',
+        media: fs.createReadStream(imagePath),
+        ...(index === 0 ? { caption: text } : {})
+      }));
+      messages = await bot.sendMediaGroup(chatId, media);
+    }
+
+    const messageIds = messages.map(message => message.message_id);
+    return { url: await this.buildMessageLink(messageIds[0]), id: messageIds };
+  }
+
+  async unpublish(publication) {
+    const bot = this.getBot();
+
+    for (const messageId of publication.id) {
+      await bot.deleteMessage(this.options.channelId, messageId);
+    }
+  }
+
+  async buildMessageLink(messageId) {
+    if (this.chatUsername === undefined) {
+      try {
+        const chat = await this.getBot().getChat(this.options.channelId);
+        this.chatUsername = chat.username || null;
+      } catch (error) {
+        this.chatUsername = null;
+      }
+    }
+
+    if (this.chatUsername) {
+      return `https://t.me/${this.chatUsername}/${messageId}`;
+    }
+
+    // Private channels: t.me/c/<id without the -100 prefix>/<message>
+    return `https://t.me/c/${String(this.options.channelId).replace(/^-100/, '')}/${messageId}`;
+  }
+}
+
+module.exports = { TelegramPublisher };
@@ -0,0 +1,41 @@
+const config = require('../config');
+const twitterBackend = require('../twitterBackend');
+const { formatCaption } = require('./captionFormatter');
+
+// X through the configured backend (browser or API)
+class XPublisher {
+  constructor() {
+    this.name = 'x';
+    this.label = 'X';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // X takes photos or a single video per post; the listener splits albums accordingly
+  supportsMedia() {
+    return true;
+  }
+
+  formatCaption(caption) {
+    return formatCaption(caption, { maxLength: config.constants.maxCaptionLength, unit: 'twitter' });
+  }
+
+  async publish(images, caption, meta = {}) {
+    const altTexts = images.map(imagePath => meta.altTexts?.[imagePath] || '');
+    const url = await twitterBackend.postTweet(images, this.formatCaption(caption), meta.accountId, altTexts);
+
+    if (!url) {
+      throw new Error('Failed to post to Twitter');
+    }
+
+    return { url, accountId: meta.accountId || null };
+  }
+
+  async unpublish(publication) {
+    await twitterBackend.deleteTweet(publication.url, publication.accountId);
+  }
+}
+
+module.exports = { XPublisher };
@@ -1,26 +1,113 @@
-const { TelegramLogger } = require('./telegramLogger');
+const { QueueStore } = require('./queueStore');
+
+const JOB_STATES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  DONE: 'done',
+  FAILED: 'failed'
+};
 
 class QueueManager {
   constructor(config) {
     this.queue = [];
+    this.current = null;
+    this.history = [];
     this.isProcessing = false;
+    this.isPaused = false;
     this.config = config;
     this.logger = null;
+    this.processor = null;
     this.postDelay = config.postDelay || 20000; // 20 seconds default
     this.maxRetries = config.maxRetries || 2;
+    this.retryDelay = config.retryDelay || 5000;
+    this.historyLimit = config.historyLimit || 50;
+    this.compactAfter = config.compactAfter || 500;
+    this.store = new QueueStore(config.journalPath);
+    this.delayResolver = null;
+    this.lastPostAt = new Map(); // account ID -> time of its last successful post
   }
 
   setLogger(logger) {
     this.logger = logger;
   }
 
+  // Jobs only carry serializable data; the function that posts them is
+  // registered once here so restored jobs can be processed too
+  setProcessor(processor) {
+    this.processor = processor;
+  }
+
+  // Jobs for different accounts can have different spacing; the resolver
+  // returns the delay (ms) a job's account needs between posts
+  setDelayResolver(resolver) {
+    this.delayResolver = resolver;
+  }
+
+  getJobAccount(job) {
+    return job.data?.accountId || 'default';
+  }
+
+  getPostDelay(job) {
+    return this.delayResolver ? this.delayResolver(job) : this.postDelay;
+  }
+
+  getReadyTime(job) {
+    const lastPostAt = this.lastPostAt.get(this.getJobAccount(job)) || 0;
+    return lastPostAt + this.getPostDelay(job);
+  }
+
+  // First pending job whose account is allowed to post again
+  takeNextJob() {
+    const now = Date.now();
+    const index = this.queue.findIndex(job => this.getReadyTime(job) <= now);
+
+    return index === -1 ? null : this.queue.splice(index, 1)[0];
+  }
+
+  async restore() {
+    const records = await this.store.load();
+    let requeued = 0;
+
+    for (const record of records) {
+      const job = { ...record };
+
+      if (job.state === JOB_STATES.PROCESSING) {
+        // Crashed mid-post: put it back in line
+        job.state = JOB_STATES.PENDING;
+        job.updatedAt = Date.now();
+        requeued++;
+      }
+
+      if (job.state === JOB_STATES.PENDING) {
+        this.queue.push(job);
+      } else {
+        this.history.push(job);
+      }
+    }
+
+    this.history = this.history.slice(-this.historyLimit);
+
+    await this.compactJournal();
+
+    console.log(`📂 Queue restored: ${this.queue.length} pending (${requeued} re-queued from processing)`);
+
+    // Processing is resumed by the caller once everything is wired up
+    return { pending: this.queue.length, requeued };
+  }
+
   async addToQueue(postData) {
-    this.queue.push({
-      ...postData,
-      id: Date.now() + Math.random(),
-      timestamp: Date.now(),
-      retries: 0
-    });
+    const now = Date.now();
+    const job = {
+      id: `${now.toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+      state: JOB_STATES.PENDING,
+      data: postData,
+      retries: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.queue.push(job);
+    await this.store.append(this.serializeJob(job));
 
     if (this.logger) {
       await this.logger.log(`📥 Post added to queue. Queue size: ${this.queue.length}`, 'info');
@@ -29,72 +116,156 @@ class QueueManager {
     if (!this.isProcessing) {
       this.processQueue();
     }
+
+    return job.id;
   }
 
   async processQueue() {
-    if (this.isProcessing || this.queue.length === 0) {
+    if (this.isProcessing || this.isPaused || this.queue.length === 0) {
       return;
     }
 
     this.isProcessing = true;
+    let waitLogged = false;
+
+    while (this.queue.length > 0 && !this.isPaused) {
+      const job = this.takeNextJob();
+
+      if (!job) {
+        // Every pending post belongs to an account that posted too recently
+        const waitMs = Math.max(0, Math.min(...this.queue.map(pending => this.getReadyTime(pending))) - Date.now());
+        if (this.logger && !waitLogged) {
+          await this.logger.log(`⏳ Waiting ${Math.round(waitMs/1000)}s before next post...`, 'info');
+          waitLogged = true;
+        }
+
+        // Short naps so pauses and newly ready accounts are picked up
+        await this.delay(Math.min(waitMs, 5000));
+        continue;
+      }
+
+      waitLogged = false;
+      this.current = job;
+      await this.updateJob(job, JOB_STATES.PROCESSING);
 
-    while (this.queue.length > 0) {
-      const postData = this.queue.shift();
-      
       try {
         if (this.logger) {
           await this.logger.log(`🔄 Processing post from queue. Remaining: ${this.queue.length}`, 'info');
         }
 
-        await this.processPost(postData);
-        
-        // Add delay between posts
-        if (this.queue.length > 0) {
-          if (this.logger) {
-            await this.logger.log(`⏳ Waiting ${this.postDelay/1000}s before next post...`, 'info');
-          }
-          await this.delay(this.postDelay);
-        }
-
+        const result = await this.processPost(job);
+        await this.updateJob(job, JOB_STATES.DONE, { result: result || null, error: null });
+        this.lastPostAt.set(this.getJobAccount(job), Date.now());
+        this.current = null;
       } catch (error) {
         if (this.logger) {
           await this.logger.log(`❌ Error processing post: ${error.message}`, 'error');
         }
-        
-        // Retry logic
-        if (postData.retries < this.maxRetries) {
-          postData.retries++;
-          this.queue.unshift(postData); // Put back at front of queue
-          
+
+        // Retry logic; errors marked retryable: false (e.g. a blocked caption) would only fail again
+        if (error.retryable !== false && job.retries < this.maxRetries) {
+          job.retries++;
+          await this.updateJob(job, JOB_STATES.PENDING, { error: error.message });
+          this.queue.unshift(job); // Put back at front of queue
+          this.current = null;
+
           if (this.logger) {
-            await this.logger.log(`🔄 Retrying post (attempt ${postData.retries}/${this.maxRetries})`, 'warning');
+            await this.logger.log(`🔄 Retrying post (attempt ${job.retries}/${this.maxRetries})`, 'warning');
           }
-          
+
           // Wait before retry
-          await this.delay(5000 * postData.retries); // Exponential backoff
+          await this.delay(this.retryDelay * job.retries); // Exponential backoff
         } else {
+          await this.updateJob(job, JOB_STATES.FAILED, { error: error.message });
+          this.current = null;
+
           if (this.logger) {
-            await this.logger.log(`💀 Post failed after ${this.maxRetries} retries. Skipping.`, 'error');
+            const message = error.retryable === false ? '💀 Post failed and will not be retried. Skipping.' : `💀 Post failed after ${this.maxRetries} retries. Skipping.`;
+            await this.logger.log(message, 'error');
           }
         }
       }
     }
 
     this.isProcessing = false;
-    
+
     if (this.logger) {
-      await this.logger.log(`✅ Queue processing completed`, 'info');
+      if (this.isPaused) {
+        await this.logger.log(`⏸️ Queue paused with ${this.queue.length} pending post(s)`, 'info');
+      } else {
+        await this.logger.log(`✅ Queue processing completed`, 'info');
+      }
+    }
+  }
+
+  async processPost(job) {
+    if (typeof this.processor !== 'function') {
+      throw new Error('No processor registered on queue manager');
     }
+
+    return await this.processor(job.data, job);
+  }
+
+  async updateJob(job, state, changes = {}) {
+    Object.assign(job, changes, { state, updatedAt: Date.now() });
+
+    if (state === JOB_STATES.DONE || state === JOB_STATES.FAILED) {
+      this.history.push(job);
+      if (this.history.length > this.historyLimit) {
+        this.history.shift();
+      }
+    }
+
+    await this.store.append(this.serializeJob(job));
+
+    // Every state change appends a line; a long-running bot rewrites the journal now and then
+    if (this.store.appendedSinceCompact >= this.compactAfter) {
+      await this.compactJournal();
+    }
+  }
+
+  // Rewrite the journal with only what is still relevant
+  async compactJournal() {
+    const jobs = new Map();
+    for (const job of [...this.history, ...(this.current ? [this.current] : []), ...this.queue]) {
+      jobs.set(job.id, job);
+    }
+
+    await this.store.compact(Array.from(jobs.values()).map(job => this.serializeJob(job)));
+  }
+
+  serializeJob(job) {
+    return JSON.parse(JSON.stringify({
+      id: job.id,
+      state: job.state,
+      data: job.data,
+      retries: job.retries,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      error: job.error || null,
+      result: job.result || null
+    }));
   }
 
-  async processPost(postData) {
-    // This will be called by the main application
-    // The actual posting logic will be handled by the caller
-    if (postData.processor && typeof postData.processor === 'function') {
-      await postData.processor(postData);
-    } else {
-      throw new Error('No processor function provided for post data');
+  getReferencedFiles() {
+    // Failed jobs can still be retried, so their files stay referenced
+    const jobs = [
+      ...(this.current ? [this.current] : []),
+      ...this.queue,
+      ...this.history.filter(job => job.state === JOB_STATES.FAILED)
+    ];
+    const files = [];
+
+    for (const job of jobs) {
+      if (Array.isArray(job.data?.images)) {
+        files.push(...job.data.images);
+      }
+      if (Array.isArray(job.data?.prepared?.images)) {
+        files.push(...job.data.prepared.images);
+      }
     }
+
+    return files;
   }
 
   delay(ms) {
@@ -105,15 +276,79 @@ class QueueManager {
     return {
       queueLength: this.queue.length,
       isProcessing: this.isProcessing,
-      nextPostTime: this.isProcessing ? Date.now() + this.postDelay : null
+      isPaused: this.isPaused,
+      currentJobId: this.current ? this.current.id : null,
+      nextPostTime: this.queue.length > 0
+        ? Math.max(Date.now(), Math.min(...this.queue.map(job => this.getReadyTime(job))))
+        : null
     };
   }
 
-  clearQueue() {
-    const clearedCount = this.queue.length;
+  getPendingJobs() {
+    return [...this.queue];
+  }
+
+  findJob(jobId) {
+    if (this.current && this.current.id === jobId) {
+      return this.current;
+    }
+
+    return this.queue.find(job => job.id === jobId) ||
+           this.history.find(job => job.id === jobId) ||
+           null;
+  }
+
+  pause() {
+    this.isPaused = true;
+  }
+
+  resume() {
+    this.isPaused = false;
+
+    if (!this.isProcessing) {
+      this.processQueue();
+    }
+  }
+
+  async skipJob(jobId) {
+    const index = this.queue.findIndex(job => job.id === jobId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [job] = this.queue.splice(index, 1);
+    await this.updateJob(job, JOB_STATES.FAILED, { error: 'Skipped by admin' });
+    return true;
+  }
+
+  async retryJob(jobId) {
+    const index = this.history.findIndex(job => job.id === jobId && job.state === JOB_STATES.FAILED);
+    if (index === -1) {
+      return false;
+    }
+
+    const [job] = this.history.splice(index, 1);
+    job.retries = 0;
+    this.queue.push(job);
+    await this.updateJob(job, JOB_STATES.PENDING, { error: null });
+
+    if (!this.isProcessing && !this.isPaused) {
+      this.processQueue();
+    }
+
+    return true;
+  }
+
+  async clearQueue() {
+    const cleared = this.queue;
     this.queue = [];
-    return clearedCount;
+
+    for (const job of cleared) {
+      await this.updateJob(job, JOB_STATES.FAILED, { error: 'Cleared from queue' });
+    }
+
+    return cleared.length;
   }
 }
 
-module.exports = { QueueManager };
\ No newline at end of file
+module.exports = { QueueManager, JOB_STATES };
@@ -0,0 +1,87 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Append-only JSONL journal for queue jobs.
+ * Every state change appends a full snapshot of the job; on load the
+ * last snapshot per job ID wins.
+ */
+class QueueStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writeChain = Promise.resolve();
+    this.appendedSinceCompact = 0; // Lines written since the journal was last rewritten
+  }
+
+  async load() {
+    const jobs = new Map();
+
+    try {
+      if (!await fs.pathExists(this.filePath)) {
+        return [];
+      }
+
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const lines = content.split('\n');
+
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+
+        try {
+          const record = JSON.parse(line);
+          if (record && record.id) {
+            // Re-insert so the map keeps the order of the latest write
+            jobs.delete(record.id);
+            jobs.set(record.id, record);
+          }
+        } catch (e) {
+          // A crash mid-write can leave a truncated last line
+          console.warn(`⚠️ Skipping corrupt queue journal line ${i + 1}`);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error loading queue journal:', error);
+    }
+
+    return Array.from(jobs.values()).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  append(record) {
+    this.appendedSinceCompact++;
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.appendFile(this.filePath, JSON.stringify(record) + '\n');
+      })
+      .catch(error => {
+        console.error('❌ Error writing queue journal:', error);
+      });
+
+    return this.writeChain;
+  }
+
+  compact(records) {
+    this.appendedSinceCompact = 0;
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        const content = records.map(record => JSON.stringify(record)).join('\n');
+
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeFile(tempPath, content ? content + '\n' : '');
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+      })
+      .catch(error => {
+        console.error('❌ Error compacting queue journal:', error);
+      });
+
+    return this.writeChain;
+  }
+
+  flush() {
+    return this.writeChain;
+  }
+}
+
+module.exports = { QueueStore };
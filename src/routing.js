@@ -0,0 +1,209 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const { resolvePlacement, validatePlacement } = require('./watermarkPlacement');
+
+const DEFAULT_ACCOUNT_ID = 'default';
+
+// X API credentials: only the default account takes them from the environment
+const X_API_CREDENTIALS = ['apiKey', 'apiSecret', 'accessToken', 'accessTokenSecret'];
+
+/**
+ * Maps source channels to the accounts their posts go to.
+ * Read from the routing file (ROUTING_CONFIG, routing.json by default); when
+ * it doesn't exist a single "default" account is built from the environment,
+ * fed by TELEGRAM_CHANNEL_ID.
+ */
+class Routing {
+  constructor() {
+    this.accounts = null; // account ID -> account
+    this.routes = null; // [{ channel, accounts: [account ID], persona, language, watermarkPlacement }]
+  }
+
+  load() {
+    if (this.accounts) {
+      return;
+    }
+
+    validatePlacement(config.watermark, 'the WATERMARK_* settings');
+
+    if (fs.pathExistsSync(config.routing.path)) {
+      this.loadFile(config.routing.path);
+    } else {
+      this.loadDefault();
+    }
+
+    console.log(`🧭 Routing: ${this.routes.length} channel(s) → ${this.accounts.size} account(s)`);
+  }
+
+  loadFile(filePath) {
+    const raw = fs.readJsonSync(filePath);
+    const accounts = new Map();
+    const ids = Object.keys(raw.accounts || {});
+    const defaultId = ids.includes(DEFAULT_ACCOUNT_ID) ? DEFAULT_ACCOUNT_ID : ids[0];
+
+    for (const id of ids) {
+      accounts.set(id, this.normalizeAccount(id, raw.accounts[id], id === defaultId));
+    }
+
+    if (accounts.size === 0) {
+      throw new Error(`No accounts defined in ${filePath}`);
+    }
+
+    const routes = (raw.routes || []).map(route => {
+      const accountIds = Array.isArray(route.accounts) ? route.accounts : [route.accounts];
+      const unknown = accountIds.filter(id => !accounts.has(id));
+
+      if (unknown.length > 0) {
+        throw new Error(`Route for ${route.channel} uses unknown account(s): ${unknown.join(', ')}`);
+      }
+
+      validatePlacement(route.watermarkPlacement, `the route for ${route.channel}`);
+
+      return {
+        channel: String(route.channel),
+        accounts: accountIds,
+        persona: route.persona || null,
+        language: route.language || null,
+        watermarkPlacement: route.watermarkPlacement || null
+      };
+    });
+
+    this.accounts = accounts;
+    this.routes = routes;
+  }
+
+  loadDefault() {
+    const account = this.normalizeAccount(DEFAULT_ACCOUNT_ID, {
+      username: config.twitter.username,
+      password: config.twitter.password,
+      cookies: config.paths.cookies,
+      watermark: config.paths.watermark,
+      fixedHashtags: config.constants.fixedHashtags,
+      queueDelay: config.queue.postDelay
+    }, true);
+
+    this.accounts = new Map([[DEFAULT_ACCOUNT_ID, account]]);
+    this.routes = config.telegram.allowedChannels
+      .filter(Boolean)
+      .map(channel => ({ channel: String(channel), accounts: [DEFAULT_ACCOUNT_ID] }));
+  }
+
+  // Fills in defaults and resolves paths relative to the project root. Only
+  // the default account (see getDefaultAccount) gets the environment's credentials
+  normalizeAccount(id, account, isDefault = false) {
+    const resolvePath = (value, fallback) => path.resolve(config.paths.root, value || fallback);
+
+    validatePlacement(account.watermarkPlacement, `account ${id}`);
+
+    return {
+      id,
+      username: account.username || null,
+      password: account.password || this.getPasswordFromEnv(id, isDefault),
+      cookies: resolvePath(account.cookies, path.join('cookies', `${id}.json`)),
+      userDataDir: resolvePath(account.userDataDir, path.join('cookies', 'profiles', id)),
+      watermark: resolvePath(account.watermark, config.paths.watermark),
+      fixedHashtags: account.fixedHashtags || [],
+      persona: account.persona || null,
+      language: account.language || null, // { mode, target } over config.language
+      watermarkPlacement: account.watermarkPlacement || null, // Over config.watermark
+      queueDelay: account.queueDelay ?? config.queue.postDelay,
+      publishers: account.publishers || null, // null = PUBLISHERS
+      xApi: this.normalizeXApi(id, account.xApi || {}, isDefault)
+    };
+  }
+
+  // Browser login password: TWITTER_PASSWORD_<ID> (e.g. TWITTER_PASSWORD_SECOND_BRAND),
+  // or TWITTER_PASSWORD for the default account
+  getPasswordFromEnv(id, isDefault) {
+    const name = `TWITTER_PASSWORD_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    return process.env[name] || (isDefault ? config.twitter.password : null) || null;
+  }
+
+  // Endpoints and limits are shared; tokens are the account's own, so one
+  // brand can never post with another's keys
+  normalizeXApi(id, overrides, isDefault) {
+    const shared = Object.fromEntries(Object.entries(config.xApi).filter(([key]) => !X_API_CREDENTIALS.includes(key)));
+    const credentials = isDefault
+      ? Object.fromEntries(X_API_CREDENTIALS.map(key => [key, config.xApi[key]]))
+      : {};
+    const xApi = { ...shared, ...credentials, ...overrides };
+
+    const missing = X_API_CREDENTIALS.filter(key => !xApi[key]);
+    if (config.twitter.backend === 'api' && !isDefault && missing.length > 0) {
+      throw new Error(`Account ${id} needs its own X API credentials in "xApi" (missing: ${missing.join(', ')})`);
+    }
+
+    return xApi;
+  }
+
+  getAccount(accountId) {
+    this.load();
+    return this.accounts.get(accountId || DEFAULT_ACCOUNT_ID) || this.getDefaultAccount();
+  }
+
+  // The "default" account, or the first one defined in the routing file
+  getDefaultAccount() {
+    this.load();
+    return this.accounts.get(DEFAULT_ACCOUNT_ID) || this.accounts.values().next().value;
+  }
+
+  getAccounts() {
+    this.load();
+    return Array.from(this.accounts.values());
+  }
+
+  // Routes match a chat by ID or by @username
+  getRoutesForChat(chat) {
+    this.load();
+    if (!chat || chat.id == null) return [];
+
+    const keys = [chat.id.toString()];
+    if (chat.username) {
+      keys.push(`@${chat.username}`.toLowerCase());
+    }
+
+    return this.routes.filter(route => keys.includes(route.channel.toLowerCase()));
+  }
+
+  getAccountsForChat(chat) {
+    const accountIds = new Set();
+    for (const route of this.getRoutesForChat(chat)) {
+      route.accounts.forEach(accountId => accountIds.add(accountId));
+    }
+
+    return Array.from(accountIds, accountId => this.accounts.get(accountId));
+  }
+
+  // A persona set on the channel's route wins over the account's own
+  getPersona(accountId, chat) {
+    const account = this.getAccount(accountId);
+    const route = this.getRoutesForChat(chat).find(candidate => candidate.persona && candidate.accounts.includes(account.id));
+
+    return route ? route.persona : account.persona;
+  }
+
+  // Language mode and target: the route's, then the account's, then the defaults
+  getLanguageSettings(accountId, chat) {
+    const account = this.getAccount(accountId);
+    const route = this.getRoutesForChat(chat).find(candidate => candidate.language && candidate.accounts.includes(account.id));
+    const { mode, target } = { ...config.language, ...(account.language || {}), ...(route ? route.language : {}) };
+
+    return { mode, target };
+  }
+
+  // Watermark placement: the route's, then the account's, then the defaults
+  getWatermarkPlacement(accountId, chat) {
+    const account = this.getAccount(accountId);
+    const route = this.getRoutesForChat(chat).find(candidate => candidate.watermarkPlacement && candidate.accounts.includes(account.id));
+
+    return resolvePlacement(account.watermarkPlacement, route ? route.watermarkPlacement : null);
+  }
+
+  getChannels() {
+    this.load();
+    return this.routes.map(route => route.channel);
+  }
+}
+
+module.exports = new Routing();
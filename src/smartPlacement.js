@@ -0,0 +1,115 @@
+const sharp = require('sharp');
+const { POSITIONS, computeOffset } = require('./watermarkPlacement');
+
+// Images are analyzed at this size; regions are scaled back afterwards
+const ANALYSIS_SIZE = 512;
+
+// How much each 0-1 measure counts towards a region's score (lower is better)
+const DETAIL_WEIGHT = 0.4;
+const SUBJECT_WEIGHT = 0.6;
+
+// Logo colors of the two variants, as luminance
+const VARIANTS = { light: 255, dark: 0 };
+
+/**
+ * Picks where a smart-mode watermark goes on a `frame`-sized image and how
+ * it looks. Each anchor position is a candidate region the size of the
+ * logo; the winner is the one farthest from the subject (sharp's attention
+ * focus: skin tones, saturation, luminance edges) with the least detail
+ * (entropy) under it. The logo becomes white or black, whichever stands
+ * out more from the region's luminance, and its opacity is set so the
+ * contrast reaches placement.targetContrast.
+ *
+ * Returns { chosen, candidates, focus, variant, opacity }; regions are
+ * { position, left, top, width, height, entropy, luminance, score } in
+ * image pixels.
+ */
+async function analyzePlacement(imageInput, placement, frame, logo) {
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(frame.width, frame.height));
+  const small = await sharp(imageInput)
+    .resize(Math.max(1, Math.round(frame.width * scale)), Math.max(1, Math.round(frame.height * scale)), { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = small.info;
+
+  // A square crop at full scale leaves the focus point in the analysis image's coordinates
+  const side = Math.min(width, height);
+  const { info: attention } = await sharp(small.data, { raw: small.info })
+    .resize(side, side, { fit: 'cover', position: 'attention' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const focus = { x: attention.attentionX, y: attention.attentionY };
+  const grey = await sharp(small.data, { raw: small.info }).greyscale().raw().toBuffer();
+  const diagonal = Math.hypot(width, height);
+
+  const candidates = [];
+  for (const position of Object.keys(POSITIONS)) {
+    const offset = computeOffset({ ...placement, mode: 'anchor', position }, frame, logo);
+    const box = {
+      left: Math.min(width - 1, Math.floor(offset.left * scale)),
+      top: Math.min(height - 1, Math.floor(offset.top * scale))
+    };
+    box.width = Math.max(1, Math.min(width - box.left, Math.round(logo.width * scale)));
+    box.height = Math.max(1, Math.min(height - box.top, Math.round(logo.height * scale)));
+
+    const stats = regionStats(grey, width, box);
+    const distance = Math.hypot(box.left + box.width / 2 - focus.x, box.top + box.height / 2 - focus.y);
+    const coversFocus = focus.x >= box.left && focus.x <= box.left + box.width && focus.y >= box.top && focus.y <= box.top + box.height;
+    const score = DETAIL_WEIGHT * (stats.entropy / 8) + SUBJECT_WEIGHT * (1 - distance / diagonal) + (coversFocus ? 1 : 0);
+
+    candidates.push({
+      position,
+      ...offset,
+      width: logo.width,
+      height: logo.height,
+      entropy: round(stats.entropy),
+      luminance: Math.round(stats.luminance),
+      score: round(score)
+    });
+  }
+
+  const chosen = candidates.reduce((best, candidate) => (candidate.score < best.score ? candidate : best));
+  const variant = chosen.luminance >= 128 ? 'dark' : 'light';
+  const contrast = Math.abs(VARIANTS[variant] - chosen.luminance) / 255;
+  const opacity = round(Math.min(placement.maxOpacity, Math.max(0.05, placement.targetContrast / contrast)));
+
+  return {
+    chosen,
+    candidates,
+    focus: { x: Math.round(focus.x / scale), y: Math.round(focus.y / scale) },
+    variant,
+    opacity
+  };
+}
+
+// Mean luminance and Shannon entropy (0-8 bits) of a box of a greyscale image
+function regionStats(grey, stride, box) {
+  const histogram = new Array(256).fill(0);
+  let sum = 0;
+
+  for (let y = box.top; y < box.top + box.height; y++) {
+    for (let x = box.left; x < box.left + box.width; x++) {
+      const value = grey[y * stride + x];
+      histogram[value]++;
+      sum += value;
+    }
+  }
+
+  const count = box.width * box.height;
+  let entropy = 0;
+  for (const frequency of histogram) {
+    if (frequency > 0) {
+      const p = frequency / count;
+      entropy -= p * Math.log2(p);
+    }
+  }
+
+  return { luminance: sum / count, entropy };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { analyzePlacement, VARIANTS };
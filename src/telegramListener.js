@@ -3,11 +3,16 @@ const fs = require('fs-extra');
 const path = require('path');
 const axios = require('axios');
 const config = require('./config');
-const imageWatermark = require('./imageWatermark');
-const captionBuilder = require('./captionBuilder');
-const twitterPoster = require('./twitterPoster');
+const postPipeline = require('./postPipeline');
+const adminCommands = require('./adminCommands');
+const approvalManager = require('./approvalManager');
+const postHistory = require('./postHistory');
+const routing = require('./routing');
+const { extensionForMime, splitForTwitter } = require('./mediaUtils');
+const imageNormalizer = require('./imageNormalizer');
+const { dHash } = require('./perceptualHash');
 const telegramLogger = require('./telegramLogger');
-const cleanup = require('./cleanup');
+const { ContentBlockedError } = require('./contentGuard');
 
 class TelegramListener {
   constructor() {
@@ -55,6 +60,25 @@ class TelegramListener {
       }
     });
 
+    // Mirror caption edits to the tweet (see config.telegram.editMode)
+    this.bot.on('edited_channel_post', async (message) => {
+      try {
+        console.log('✏️ Bot received an edited channel post!');
+        await this.handleEditedPost(message);
+      } catch (error) {
+        console.error('Error handling edited channel post:', error);
+        await telegramLogger.logError(`Error handling edited channel post: ${error.message}`);
+      }
+    });
+
+    // Admin commands from the log group (/status, /pause, ...)
+    adminCommands.attach(this.bot, { queueManager: this.queueManager });
+    
+    // Inline-keyboard moderation of previews before anything is tweeted
+    approvalManager.attach(this.bot, {
+      onApproved: (postData) => this.enqueueOrPost(postData)
+    });
+
     console.log('🤖 Telegram bot initialized and listening...');
     await telegramLogger.logInfo('Telegram bot initialized and listening');
     
@@ -91,6 +115,7 @@ class TelegramListener {
       messageId: message.message_id,
       date: new Date(message.date * 1000).toISOString(),
       hasPhoto: !!message.photo,
+      hasVideo: !!(message.video || message.animation),
       hasMediaGroup: !!message.media_group_id,
       caption: message.caption || 'No caption',
       from: message.from?.username || 'Unknown'
@@ -99,35 +124,23 @@ class TelegramListener {
     // Check if message is from allowed channel
     if (!this.isFromAllowedChannel(message)) {
       console.log(`❌ Message rejected - not from allowed channel. Chat ID: ${message.chat?.id}`);
-      console.log(`📋 Allowed channels: ${JSON.stringify(config.telegram.allowedChannels)}`);
+      console.log(`📋 Allowed channels: ${JSON.stringify(routing.getChannels())}`);
       return;
     }
     
     console.log(`✅ Message accepted from allowed channel: ${this.getChannelName(message)}`);
 
-    // Check if message has photos
-    if (message.photo || message.media_group_id) {
+    // Check if message has photos, videos or animations
+    if (this.getMediaFiles(message).length > 0 || message.media_group_id) {
       // Handle media group messages
       if (message.media_group_id) {
         await this.handleMediaGroupMessage(message);
         return;
       }
       
-      // Handle single image messages
-      const images = await this.extractImages(message);
-      if (images.length > 0) {
-        const postData = {
-          images,
-          caption: message.caption || '',
-          channelName: this.getChannelName(message)
-        };
-
-        if (config.app.useQueue) {
-          await this.addToQueue(postData);
-        } else {
-          await this.processAndPost(postData);
-        }
-      }
+      // Handle single media messages
+      const files = await this.extractMedia(message);
+      await this.dispatchMedia(files, message.caption || '', this.getChannelName(message), [message]);
     }
   }
 
@@ -166,14 +179,14 @@ class TelegramListener {
       
       console.log(`🔄 Processing media group ${mediaGroupId} with ${messages.length} messages`);
       
-      // Extract all images from the media group
-      const allImages = [];
+      // Extract all media from the media group
+      const allFiles = [];
       let caption = '';
       let channelName = '';
       
       for (const message of messages) {
-        const images = await this.extractImages(message);
-        allImages.push(...images);
+        const files = await this.extractMedia(message);
+        allFiles.push(...files);
         
         // Use caption from first message that has one
         if (!caption && message.caption) {
@@ -186,22 +199,7 @@ class TelegramListener {
         }
       }
       
-      // Limit images per post
-      const limitedImages = allImages.slice(0, config.app.maxImagesPerPost);
-      
-      if (limitedImages.length > 0) {
-        const postData = {
-          images: limitedImages,
-          caption: caption || '',
-          channelName
-        };
-
-        if (config.app.useQueue) {
-          await this.addToQueue(postData);
-        } else {
-          await this.processAndPost(postData);
-        }
-      }
+      await this.dispatchMedia(allFiles, caption, channelName, messages);
       
       // Cleanup
       this.mediaGroups.delete(mediaGroupId);
@@ -213,33 +211,282 @@ class TelegramListener {
     }
   }
 
-  async extractImages(message) {
-    const images = [];
+  // Splits mixed albums into posts X accepts and dispatches each of them
+  async dispatchMedia(files, caption, channelName, messages) {
+    if (files.length === 0) {
+      return;
+    }
     
-    try {
-      if (message.photo) {
-        // Get the highest resolution photo
-        const photo = message.photo[message.photo.length - 1];
-        const fileLink = await this.bot.getFileLink(photo.file_id);
+    const groups = splitForTwitter(files.map(file => file.path));
+    if (groups.length > 1) {
+      console.log(`✂️ Mixed media split into ${groups.length} posts (videos can't share a post with photos)`);
+      await telegramLogger.logInfo(`✂️ Mixed album split into ${groups.length} posts (videos can't share a post with photos)`);
+    }
+    
+    for (const group of groups) {
+      const groupFiles = group.map(filePath => files.find(file => file.path === filePath));
+      
+      await this.routePost({
+        images: group,
+        caption,
+        channelName,
+        source: this.buildSource(messages, groupFiles.map(file => file.media))
+      }, messages[0].chat);
+    }
+  }
+
+  // One post per account the channel is routed to. Every account after the
+  // first gets its own copy of the files, since each post cleans up after itself
+  async routePost(postData, chat) {
+    const posts = [];
+    
+    for (const account of routing.getAccountsForChat(chat)) {
+      const duplicate = await this.findDuplicate(postData, account);
+      if (!duplicate || config.duplicates.policy !== 'skip') {
+        posts.push({ accountId: account.id, duplicate });
+      }
+    }
+    
+    if (posts.length === 0) {
+      await postPipeline.cleanupTempImages(postData);
+      return;
+    }
+    
+    for (const [index, post] of posts.entries()) {
+      const images = index === 0 ? postData.images : await this.copyFilesForAccount(postData.images, post.accountId);
+      await this.dispatchPost({ ...postData, images, accountId: post.accountId, duplicate: post.duplicate });
+    }
+  }
+
+  /**
+   * A recent post of `account` with a near-identical photo (DUPLICATE_*
+   * settings), reported to the log group with what happens to the new post:
+   * { entryId, urls, postedAt, distance, image } or null.
+   */
+  async findDuplicate(postData, account) {
+    const hashes = (postData.source?.media || []).map(media => media.hash || null);
+    if (!config.duplicates.enabled || !hashes.some(Boolean)) {
+      return null;
+    }
+    
+    const match = await postHistory.findSimilar(hashes, {
+      accountId: account.id,
+      since: Date.now() - config.duplicates.window,
+      threshold: config.duplicates.threshold
+    });
+    if (!match) {
+      return null;
+    }
+    
+    const duplicate = {
+      entryId: match.entry.id,
+      urls: postHistory.getUrls(match.entry),
+      postedAt: match.entry.postedAt,
+      distance: match.distance,
+      image: match.image + 1
+    };
+    const action = { skip: '⏭️ Skipped', post: '📤 Posting anyway', ask: '📝 Waiting for approval' }[config.duplicates.policy];
+    const urls = duplicate.urls.length > 0 ? duplicate.urls.join('\n') : '(no links recorded)';
+    
+    console.log(`♊ Photo ${duplicate.image} for ${account.id} matches post ${duplicate.entryId} (distance ${duplicate.distance})`);
+    await telegramLogger.logWarning(
+      `♊ Possible repost from ${telegramLogger.escapeHtml(postData.channelName || 'Unknown')} for ${telegramLogger.escapeHtml(account.id)}\n` +
+      `Photo ${duplicate.image} matches a post from ${new Date(duplicate.postedAt).toISOString().slice(0, 10)} (${duplicate.distance}/64 bits differ):\n` +
+      `${telegramLogger.escapeHtml(urls)}\n\n${action}`
+    );
+    
+    return duplicate;
+  }
+
+  async copyFilesForAccount(filePaths, accountId) {
+    const copies = [];
+    
+    for (const filePath of filePaths) {
+      const copyPath = path.join(path.dirname(filePath),
+        `${path.basename(filePath, path.extname(filePath))}_${accountId}${path.extname(filePath)}`);
+      await fs.copy(filePath, copyPath);
+      copies.push(copyPath);
+    }
+    
+    return copies;
+  }
+
+  async extractMedia(message) {
+    const files = [];
+    
+    for (const media of this.getMediaFiles(message)) {
+      try {
+        const filePath = await this.downloadFile(media);
         
-        // Download image to temp folder
-        const timestamp = Date.now();
-        const randomId = Math.random().toString(36).substring(2, 15);
-        const fileName = `image_${timestamp}_${randomId}.jpg`;
-        const imagePath = path.join(config.paths.temp, fileName);
+        // Kept with the post history to recognize the photo when it comes back
+        if (media.type === 'photo') {
+          media.hash = await dHash(filePath).catch(error => {
+            console.error(`❌ Error hashing ${path.basename(filePath)}:`, error.message);
+            return null;
+          });
+        }
         
-        await this.downloadImage(fileLink, imagePath);
-        images.push(imagePath);
+        files.push({ path: filePath, media });
+      } catch (error) {
+        console.error('Error extracting media:', error);
         
-        console.log(`📥 Downloaded image: ${fileName}`);
+        // The Bot API only serves files up to 20 MB
+        if (error.message.includes('file is too big')) {
+          await telegramLogger.logWarning(`📦 Skipped ${media.type}: larger than Telegram's 20 MB bot download limit`);
+        } else {
+          await telegramLogger.logError(`Error extracting media: ${error.message}`);
+        }
+      }
+    }
+    
+    return files;
+  }
+
+  // Downloadable media in a message: photos, videos, GIF animations and
+  // images/videos sent as documents
+  getMediaFiles(message) {
+    if (message.photo) {
+      // Get the highest resolution photo
+      return [{ fileId: message.photo[message.photo.length - 1].file_id, type: 'photo', extension: '.jpg' }];
+    }
+    
+    if (message.video) {
+      return [{ fileId: message.video.file_id, type: 'video', extension: extensionForMime(message.video.mime_type, '.mp4') }];
+    }
+    
+    if (message.animation) {
+      // Telegram converts most GIFs to silent MP4s
+      return [{ fileId: message.animation.file_id, type: 'video', extension: extensionForMime(message.animation.mime_type, '.mp4') }];
+    }
+    
+    const mimeType = message.document?.mime_type || '';
+    if (mimeType.startsWith('image/') || mimeType.startsWith('video/')) {
+      const extension = extensionForMime(mimeType, path.extname(message.document.file_name || '').toLowerCase() || '.jpg');
+      return [{ fileId: message.document.file_id, type: mimeType.startsWith('video/') ? 'video' : 'photo', extension }];
+    }
+    
+    return [];
+  }
+
+  async downloadFile(media) {
+    const fileLink = await this.bot.getFileLink(media.fileId);
+    
+    // Download media to temp folder
+    const timestamp = Date.now();
+    const randomId = Math.random().toString(36).substring(2, 15);
+    const fileName = `${media.type === 'photo' ? 'image' : 'video'}_${timestamp}_${randomId}${media.extension}`;
+    const filePath = path.join(config.paths.temp, fileName);
+    
+    await this.downloadImage(fileLink, filePath);
+    
+    console.log(`📥 Downloaded ${media.type}: ${fileName}`);
+    
+    // Real format, upright, no metadata and within X's limits from here on
+    try {
+      return (await imageNormalizer.normalize(filePath)).path;
+    } catch (error) {
+      await fs.remove(filePath);
+      throw error;
+    }
+  }
+
+  // Where a post came from, kept with the tweet so edits can be mirrored
+  buildSource(messages, media) {
+    const first = messages[0];
+    
+    return {
+      chatId: first.chat.id,
+      chatUsername: first.chat.username || null,
+      messageIds: messages.map(message => message.message_id),
+      mediaGroupId: first.media_group_id || null,
+      captionMessageId: messages.find(message => message.caption)?.message_id ?? null,
+      media
+    };
+  }
+
+  async handleEditedPost(message) {
+    if (!this.isFromAllowedChannel(message)) {
+      return;
+    }
+    
+    const entries = await postHistory.findAllByMessage(message.chat.id, message.message_id);
+    if (entries.length === 0) {
+      console.log(`✏️ Edited message ${message.message_id} has no published post, ignoring`);
+      return;
+    }
+    
+    // The album caption lives on one item; edits to the others don't change the tweet.
+    // Entries recorded before captionMessageId existed: uncaptioned items are the others
+    const { mediaGroupId, captionMessageId } = entries[0];
+    if (mediaGroupId && (captionMessageId != null ? captionMessageId !== message.message_id : !message.caption)) {
+      return;
+    }
+    
+    const newCaption = message.caption || '';
+    if (newCaption === entries[0].caption) {
+      // Media-only edits don't change the tweet
+      return;
+    }
+    
+    console.log(`✏️ Caption edited for message ${message.message_id} (mode: ${config.telegram.editMode}, ${entries.length} post(s))`);
+    
+    // Each routed account (and each part of a split album) is handled on its own
+    for (const entry of entries) {
+      try {
+        await this.applyEdit(entry, newCaption, message);
+      } catch (error) {
+        console.error('Error mirroring channel edit:', error);
+        await telegramLogger.logError(`Error mirroring channel edit: ${error.message}`);
       }
+    }
+  }
+
+  async applyEdit(entry, newCaption, message) {
+    const mode = config.telegram.editMode;
+    const links = postHistory.getUrls(entry).map(url => `🔗 ${url}`).join('\n');
+    
+    if (mode === 'ignore') {
+      await telegramLogger.logInfo(`✏️ Channel post edited, published posts left unchanged (edit mode: ignore)\n${links}`);
+      return;
+    }
+    
+    // mode === 'repost': fetch the original media again before anything is
+    // deleted, so a failed download leaves the published post in place
+    const images = [];
+    try {
+      if (mode === 'repost') {
+        for (const media of entry.media) {
+          images.push(await this.downloadFile(media));
+        }
+      }
+      
+      await postPipeline.unpost(entry);
     } catch (error) {
-      console.error('Error extracting images:', error);
-      await telegramLogger.logError(`Error extracting images: ${error.message}`);
+      await Promise.all(images.map(image => fs.remove(image)));
+      throw error;
     }
     
-    // Limit the number of images
-    return images.slice(0, config.app.maxImagesPerPost);
+    if (mode === 'delete') {
+      await telegramLogger.logWarning(`🗑️ Channel post edited, published posts deleted\n${links}`);
+      return;
+    }
+    
+    await telegramLogger.logInfo(`🔁 Channel post edited, published posts deleted and reposting with the new caption\n${links}`);
+    
+    await this.dispatchPost({
+      images,
+      caption: newCaption,
+      channelName: entry.channelName || this.getChannelName(message),
+      accountId: entry.accountId || routing.getDefaultAccount().id,
+      source: {
+        chatId: entry.chatId,
+        chatUsername: entry.chatUsername,
+        messageIds: entry.messageIds,
+        mediaGroupId: entry.mediaGroupId,
+        captionMessageId: entry.captionMessageId,
+        media: entry.media
+      }
+    });
   }
 
   async downloadImage(url, filePath) {
@@ -262,10 +509,7 @@ class TelegramListener {
   isFromAllowedChannel(message) {
     if (!message.chat) return false;
     
-    const chatId = message.chat.id.toString();
-    const allowedChannels = config.telegram.allowedChannels;
-    
-    return allowedChannels.includes(chatId);
+    return routing.getAccountsForChat(message.chat).length > 0;
   }
 
   getChannelName(message) {
@@ -273,11 +517,38 @@ class TelegramListener {
     return message.chat.title || message.chat.username || 'Unknown';
   }
 
+  async dispatchPost(postData) {
+    // Duplicates under the 'ask' policy are previewed even without APPROVAL_ENABLED
+    if (config.approval.enabled || (postData.duplicate && config.duplicates.policy === 'ask')) {
+      try {
+        await approvalManager.submit(postData);
+      } catch (error) {
+        // Blocked captions were already reported to the log group
+        if (!(error instanceof ContentBlockedError)) {
+          console.error('Error submitting post for approval:', error);
+          await telegramLogger.logError(`Error submitting post for approval: ${error.message}`);
+        }
+      }
+      return;
+    }
+    
+    await this.enqueueOrPost(postData);
+  }
+
+  async enqueueOrPost(postData) {
+    // config.queue.enabled is the single switch between queued and direct posting
+    if (config.queue.enabled && this.queueManager) {
+      await this.addToQueue(postData);
+    } else {
+      await this.processAndPost(postData);
+    }
+  }
+
   async addToQueue(postData) {
     try {
       await this.queueManager.addToQueue(postData);
-      console.log(`📋 Added post to queue with ${postData.images.length} image(s)`);
-      await telegramLogger.logInfo(`Added post to queue with ${postData.images.length} image(s)`);
+      console.log(`📋 Added post for ${postData.accountId} to queue with ${postData.images.length} file(s)`);
+      await telegramLogger.logInfo(`Added post for ${postData.accountId} to queue with ${postData.images.length} file(s)`);
     } catch (error) {
       console.error('Error adding to queue:', error);
       await telegramLogger.logError(`Error adding to queue: ${error.message}`);
@@ -285,105 +556,18 @@ class TelegramListener {
   }
 
   async processAndPost(postData) {
-    let watermarkedImages = [];
-    
     try {
-      console.log(`🔄 Processing ${postData.images.length} image(s) for posting...`);
-      
-      // Get watermarked images (use existing or create new)
-      watermarkedImages = await this.getWatermarkedImages(postData.images);
-      
-      if (watermarkedImages.length === 0) {
-        throw new Error('No watermarked images available');
-      }
-      
-      // Extract channel hashtags from original caption if present
-      const channelHashtags = [];
-      if (postData.caption) {
-        const hashtagMatches = postData.caption.match(/#[a-zA-Z0-9_]+/g);
-        if (hashtagMatches) {
-          channelHashtags.push(...hashtagMatches);
-        }
-      }
-      
-      // Build caption with hashtags using the first watermarked image
-      const finalCaption = await captionBuilder.buildCaption(
-        postData.caption,
-        watermarkedImages[0], // Use first image for AI analysis
-        channelHashtags
-      );
-      
-      // Post to Twitter
-      const success = await twitterPoster.postTweet(watermarkedImages, finalCaption);
-      
-      if (success) {
-        console.log('✅ Successfully posted to Twitter');
-        await telegramLogger.logSuccess('Successfully posted to Twitter');
-      } else {
-        throw new Error('Failed to post to Twitter');
-      }
-      
+      await postPipeline.run(postData);
     } catch (error) {
-      console.error('Error processing and posting:', error);
-      await telegramLogger.logError(`Error processing and posting: ${error.message}`);
-    } finally {
-      // Cleanup temp files if enabled
-      if (config.app.tempCleanupEnabled) {
-        try {
-          // Clean up original temp images
-          for (const imagePath of postData.images) {
-            if (await fs.pathExists(imagePath)) {
-              await fs.remove(imagePath);
-              console.log(`🗑️ Cleaned up temp file: ${path.basename(imagePath)}`);
-            }
-          }
-          
-          // Note: We don't clean up watermarked images as they're in the output folder
-          // and might be reused for future posts
-        } catch (cleanupError) {
-          console.error('Error during cleanup:', cleanupError);
-        }
+      if (!(error instanceof ContentBlockedError)) {
+        console.error('Error processing and posting:', error);
+        await telegramLogger.logError(`Error processing and posting: ${error.message}`);
       }
+      // No retries in direct mode, so the temp images are no longer needed
+      await postPipeline.cleanupTempImages(postData);
     }
   }
 
-  async getWatermarkedImages(imagePaths) {
-    const watermarkedImages = [];
-    
-    for (const imagePath of imagePaths) {
-      try {
-        const fileName = path.basename(imagePath, path.extname(imagePath));
-        const watermarkedFileName = `${fileName}_watermarked.jpg`;
-        const watermarkedPath = path.join(config.paths.output, watermarkedFileName);
-        
-        // Check if watermarked version already exists
-        if (await fs.pathExists(watermarkedPath)) {
-          console.log(`♻️ Using existing watermarked image: ${watermarkedFileName}`);
-          watermarkedImages.push(watermarkedPath);
-        } else {
-          // Create new watermarked image
-          console.log(`🎨 Creating watermark for: ${path.basename(imagePath)}`);
-          const newWatermarkedPath = await imageWatermark.addWatermark(imagePath);
-          
-          if (newWatermarkedPath && await fs.pathExists(newWatermarkedPath)) {
-            watermarkedImages.push(newWatermarkedPath);
-            console.log(`✅ Watermark created: ${path.basename(newWatermarkedPath)}`);
-          } else {
-            console.warn(`⚠️ Failed to create watermark for: ${path.basename(imagePath)}`);
-            // Fallback: use original image if watermarking fails
-            watermarkedImages.push(imagePath);
-          }
-        }
-      } catch (error) {
-        console.error(`Error processing watermark for ${imagePath}:`, error);
-        // Fallback: use original image
-        watermarkedImages.push(imagePath);
-      }
-    }
-    
-    return watermarkedImages;
-  }
-
   async stop() {
     if (this.bot) {
       await this.bot.stopPolling();
@@ -396,6 +580,8 @@ class TelegramListener {
     }
     this.mediaGroupTimers.clear();
     this.mediaGroups.clear();
+    
+    approvalManager.stop();
   }
 }
 
@@ -10,6 +10,7 @@ class TelegramLogger {
     this.isInitializing = false;
     this.messageQueue = [];
     this.isProcessingQueue = false;
+    this.publishStats = {}; // destination -> { published, failed, lastPublishedAt, lastError }
   }
 
   async initialize() {
@@ -162,6 +163,36 @@ class TelegramLogger {
     return `<b>🤖 Muse AutoPost</b> ${emoji}\n<i>${timestamp} EST</i>\n\n${message}`;
   }
 
+  // Escape user-provided text (captions, error messages) for HTML parse mode
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  // Per-destination publishing counters, shown by /status
+  recordPublishResult(destination, success, error = null) {
+    const stats = this.publishStats[destination] || (this.publishStats[destination] = {
+      published: 0,
+      failed: 0,
+      lastPublishedAt: null,
+      lastError: null
+    });
+    
+    if (success) {
+      stats.published++;
+      stats.lastPublishedAt = new Date().toISOString();
+    } else {
+      stats.failed++;
+      stats.lastError = error ? error.message : null;
+    }
+  }
+
+  getPublishStats() {
+    return this.publishStats;
+  }
+
   async sendSuccessLog(tweetUrl, imageCount = 1) {
     const message = `✅ <b>Post Successful!</b>\n\n` +
                    `📸 Images: ${imageCount}\n` +
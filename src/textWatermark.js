@@ -0,0 +1,79 @@
+const sharp = require('sharp');
+const crypto = require('crypto');
+
+// The text is drawn this much larger than needed, then trimmed to its ink
+const CANVAS_CHARS = 0.75; // Canvas width per character, in font sizes
+
+/**
+ * Short ID stamped on a post's images so a leaked copy can be traced back
+ * with /trace: the same channel message and account always give the same ID.
+ * The media file IDs tell apart the posts an album was split into.
+ */
+function markId(postData) {
+  const source = postData.source || {};
+  const origin = source.chatId != null
+    ? `${source.chatId}:${(source.messageIds || []).join(',')}:${(source.media || []).map(media => media.fileId).join(',')}`
+    : (postData.images || []).join(',');
+
+  return crypto.createHash('sha1').update(`${origin}:${postData.accountId || ''}`).digest('hex').slice(0, 6);
+}
+
+// Values for the {field} placeholders of a text watermark
+function markFields(postData, account) {
+  const source = postData.source || {};
+
+  return {
+    account: account.username || account.id,
+    channel: source.chatUsername ? `@${source.chatUsername}` : postData.channelName || '',
+    date: new Date().toISOString().slice(0, 10),
+    postId: markId(postData)
+  };
+}
+
+// "@{account} · {postId}" → "@museofcurves · 3f9a1c"; unknown fields are left as written
+function renderTemplate(template, fields) {
+  return (template || '')
+    .replace(/\{(\w+)\}/g, (placeholder, name) => (fields[name] != null ? String(fields[name]) : placeholder))
+    .trim();
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;' })[char]);
+}
+
+/**
+ * A line of text drawn with the placement's font, color, stroke and shadow,
+ * sized relative to `frameWidth`, as raw RGBA: { data, width, height }.
+ */
+async function renderText(text, placement, frameWidth) {
+  const fontSize = Math.max(8, Math.round(frameWidth * placement.textSize));
+  const padding = fontSize;
+  const width = Math.ceil([...text].length * fontSize * CANVAS_CHARS) + padding * 2;
+  const height = fontSize * 2 + padding;
+
+  const stroke = placement.textStroke
+    ? ` stroke="${escapeXml(placement.textStroke)}" stroke-width="${Math.max(1, Math.round(fontSize * 0.06))}" paint-order="stroke"`
+    : '';
+  const shadow = placement.textShadow
+    ? `<defs><filter id="shadow" x="-10%" y="-20%" width="120%" height="140%"><feDropShadow dx="${fontSize * 0.05}" dy="${fontSize * 0.05}" stdDeviation="${fontSize * 0.06}" flood-color="black" flood-opacity="0.5"/></filter></defs>`
+    : '';
+
+  const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${shadow}` +
+    `<text x="${padding}" y="${padding + fontSize}" font-family="${escapeXml(placement.font)}" font-size="${fontSize}" font-weight="bold" ` +
+    `fill="${escapeXml(placement.textColor)}"${stroke}${shadow ? ' filter="url(#shadow)"' : ''}>${escapeXml(text)}</text></svg>`;
+
+  const { data, info } = await sharp(Buffer.from(svg))
+    .trim()
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height };
+}
+
+module.exports = {
+  markId,
+  markFields,
+  renderTemplate,
+  renderText
+};
@@ -0,0 +1,119 @@
+/**
+ * Tweet length as X counts it (twitter-text v3 configuration): text is
+ * NFC-normalized, code points in the Latin and general punctuation ranges
+ * weigh 1, everything else (CJK, most symbols) weighs 2, an emoji sequence
+ * weighs 2 as a whole and every URL weighs 23 however long it is.
+ */
+const URL_WEIGHT = 23;
+const DEFAULT_WEIGHT = 2;
+const LIGHT_RANGES = [
+  [0x0000, 0x10FF],
+  [0x2000, 0x200D],
+  [0x2010, 0x201F],
+  [0x2032, 0x2037]
+];
+
+// X also links bare domains; only explicit links are matched here
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s]+?(?=[.,!?;:'")\]]*(?:\s|$))/giu;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|⃣/u;
+const ELLIPSIS = '…';
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+function codePointWeight(codePoint) {
+  return LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : DEFAULT_WEIGHT;
+}
+
+function graphemeWeight(grapheme) {
+  // A bare © or ® is text; with a variation selector or in a sequence it's emoji
+  const codePoints = Array.from(grapheme);
+  const isLoneLightChar = codePoints.length === 1 && codePointWeight(grapheme.codePointAt(0)) === 1;
+
+  if (!isLoneLightChar && EMOJI_PATTERN.test(grapheme)) {
+    return DEFAULT_WEIGHT;
+  }
+
+  return codePoints.reduce((weight, char) => weight + codePointWeight(char.codePointAt(0)), 0);
+}
+
+// Splits text into units that can't be cut: whole URLs and graphemes
+function tokenize(text) {
+  const normalized = (text || '').normalize('NFC');
+  const tokens = [];
+  let lastIndex = 0;
+
+  const pushGraphemes = (chunk) => {
+    for (const { segment } of segmenter.segment(chunk)) {
+      tokens.push({ text: segment, weight: graphemeWeight(segment) });
+    }
+  };
+
+  for (const match of normalized.matchAll(URL_PATTERN)) {
+    pushGraphemes(normalized.slice(lastIndex, match.index));
+    tokens.push({ text: match[0], weight: URL_WEIGHT });
+    lastIndex = match.index + match[0].length;
+  }
+  pushGraphemes(normalized.slice(lastIndex));
+
+  return tokens;
+}
+
+function getTweetLength(text) {
+  return tokenize(text).reduce((total, token) => total + token.weight, 0);
+}
+
+/**
+ * Cuts text to fit `maxLength` with an ellipsis, never inside a grapheme or
+ * URL, preferring a word boundary when one is reasonably close.
+ */
+function truncateTweet(text, maxLength) {
+  const normalized = (text || '').normalize('NFC');
+  if (getTweetLength(normalized) <= maxLength) {
+    return normalized;
+  }
+
+  const budget = maxLength - getTweetLength(ELLIPSIS);
+  let truncated = '';
+  let length = 0;
+
+  for (const token of tokenize(normalized)) {
+    if (length + token.weight > budget) break;
+    truncated += token.text;
+    length += token.weight;
+  }
+
+  const lastSpace = truncated.lastIndexOf(' ');
+  if (lastSpace > truncated.length * 0.6) {
+    truncated = truncated.substring(0, lastSpace);
+  }
+
+  return truncated.trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Joins a caption and its hashtags within `maxLength`. Whole hashtags are
+ * dropped from the end until it fits; the caption is only cut once none
+ * are left.
+ */
+function fitTweet(caption, hashtags, maxLength) {
+  const text = (caption || '').normalize('NFC').trim();
+  const tags = [...hashtags];
+  const join = () => [text, tags.join(' ')].filter(Boolean).join('\n\n');
+
+  while (tags.length > 0 && getTweetLength(join()) > maxLength) {
+    tags.pop();
+  }
+
+  if (tags.length > 0 || getTweetLength(text) <= maxLength) {
+    return join();
+  }
+
+  return truncateTweet(text, maxLength);
+}
+
+module.exports = {
+  getTweetLength,
+  truncateTweet,
+  fitTweet,
+  tokenize
+};
@@ -0,0 +1,111 @@
+const config = require('./config');
+const routing = require('./routing');
+const { TwitterPoster } = require('./twitterPoster');
+const { XApiPoster, XApiError } = require('./xApiPoster');
+
+// Failures of the create-tweet call that may hide a tweet that was posted anyway
+const AMBIGUOUS_TYPES = ['server', 'network'];
+
+/**
+ * Chooses between the Puppeteer poster and the X API poster
+ * (TWITTER_BACKEND). Both share `postTweet(imagePaths, caption, altTexts) →
+ * tweetUrl`, altTexts lined up with imagePaths;
+ * API errors whose type is listed in TWITTER_FALLBACK_ON are retried with
+ * the browser, except server and network errors of the create-tweet call
+ * itself: retrying those could post twice. Posters are created per routed
+ * account on first use.
+ */
+class TwitterBackend {
+  constructor() {
+    this.browsers = new Map(); // account ID -> TwitterPoster
+    this.apis = new Map(); // account ID -> XApiPoster
+    this.logger = null;
+  }
+
+  get name() {
+    return config.twitter.backend;
+  }
+
+  setLogger(logger) {
+    this.logger = logger;
+
+    for (const poster of [...this.browsers.values(), ...this.apis.values()]) {
+      poster.setLogger(logger);
+    }
+  }
+
+  getBrowser(accountId) {
+    const account = routing.getAccount(accountId);
+
+    if (!this.browsers.has(account.id)) {
+      const poster = new TwitterPoster(account);
+      poster.setLogger(this.logger);
+      this.browsers.set(account.id, poster);
+    }
+
+    return this.browsers.get(account.id);
+  }
+
+  getApi(accountId) {
+    const account = routing.getAccount(accountId);
+
+    if (!this.apis.has(account.id)) {
+      const poster = new XApiPoster(account.xApi, account.username);
+      poster.setLogger(this.logger);
+      this.apis.set(account.id, poster);
+    }
+
+    return this.apis.get(account.id);
+  }
+
+  async postTweet(imagePaths, caption, accountId, altTexts = []) {
+    if (this.name !== 'api') {
+      return await this.getBrowser(accountId).postTweet(imagePaths, caption, altTexts);
+    }
+
+    return await this.withFallback('post', () => this.getApi(accountId).postTweet(imagePaths, caption, altTexts),
+      () => this.getBrowser(accountId).postTweet(imagePaths, caption, altTexts));
+  }
+
+  async deleteTweet(tweetUrl, accountId) {
+    if (this.name !== 'api') {
+      return await this.getBrowser(accountId).deleteTweet(tweetUrl);
+    }
+
+    return await this.withFallback('delete', () => this.getApi(accountId).deleteTweet(tweetUrl),
+      () => this.getBrowser(accountId).deleteTweet(tweetUrl));
+  }
+
+  async testLogin(accountId) {
+    return this.name === 'api'
+      ? await this.getApi(accountId).testLogin()
+      : await this.getBrowser(accountId).testLogin();
+  }
+
+  async withFallback(action, primary, fallback) {
+    try {
+      return await primary();
+    } catch (error) {
+      if (error instanceof XApiError && error.stage === 'create' && AMBIGUOUS_TYPES.includes(error.type)) {
+        console.warn(`⚠️ X API ${action} failed (${error.type}) after the tweet was sent; not retrying, it may have been posted`);
+        // Neither the browser nor a queue retry may post it again
+        error.ambiguous = true;
+        error.retryable = false;
+        throw error;
+      }
+
+      if (!(error instanceof XApiError) || !config.twitter.fallbackOn.includes(error.type)) {
+        throw error;
+      }
+
+      console.warn(`⚠️ X API ${action} failed (${error.type}), falling back to the browser: ${error.message}`);
+      if (this.logger) {
+        await this.logger.log(`⚠️ X API ${action} failed (${error.type}), falling back to the browser\n${error.message}`, 'warning');
+      }
+
+      return await fallback();
+    }
+  }
+}
+
+module.exports = new TwitterBackend();
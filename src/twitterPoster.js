@@ -2,68 +2,150 @@ const puppeteer = require('puppeteer');
 const fs = require('fs-extra');
 const path = require('path');
 const config = require('./config');
+const { isVideo } = require('./mediaUtils');
+const { getTweetLength, truncateTweet } = require('./tweetLength');
 
+// Every poster with an open browser, so a crashing process can kill them all
+const activePosters = new Set();
+
+function emergencyCleanup() {
+  for (const poster of activePosters) {
+    if (poster.browser) {
+      try {
+        console.log(`🧹 Emergency browser cleanup on process exit (${poster.account.id})`);
+        if (poster.browser.process()) {
+          poster.browser.process().kill('SIGKILL');
+        }
+      } catch (error) {
+        console.error('❌ Error in emergency cleanup:', error);
+      }
+    }
+  }
+}
+
+process.on('exit', emergencyCleanup);
+process.on('SIGINT', emergencyCleanup);
+process.on('SIGTERM', emergencyCleanup);
+process.on('uncaughtException', (error) => {
+  console.error('❌ Uncaught exception:', error);
+  emergencyCleanup();
+  process.exit(1);
+});
+
+/**
+ * Posts to X through a Puppeteer browser as one account. Each account gets
+ * its own instance, cookies file and browser profile directory.
+ */
 class TwitterPoster {
-  constructor() {
+  constructor(account) {
+    this.account = account;
     this.browser = null;
     this.page = null;
     this.isLoggedIn = false;
     this.logger = null;
     this.maxRetries = config.twitter?.maxRetries || 2;
     this.retryDelay = config.twitter?.retryDelay || 5000;
+    this.browserLock = Promise.resolve();
     
-    // Add process exit handlers to ensure browser cleanup
-    this.setupProcessHandlers();
-  }
-
-  setupProcessHandlers() {
-    const cleanup = () => {
-      if (this.browser) {
-        try {
-          console.log('🧹 Emergency browser cleanup on process exit');
-          if (this.browser.process()) {
-            this.browser.process().kill('SIGKILL');
-          }
-        } catch (error) {
-          console.error('❌ Error in emergency cleanup:', error);
-        }
-      }
-    };
-
-    process.on('exit', cleanup);
-    process.on('SIGINT', cleanup);
-    process.on('SIGTERM', cleanup);
-    process.on('uncaughtException', (error) => {
-      console.error('❌ Uncaught exception:', error);
-      cleanup();
-      process.exit(1);
-    });
+    activePosters.add(this);
   }
 
   setLogger(logger) {
     this.logger = logger;
   }
 
-  async postTweet(imagePaths, caption) {
+  // Serializes browser work so deleting a tweet or testing the login never
+  // interleaves with a post that is using the same page
+  withBrowserLock(task) {
+    const run = this.browserLock.then(task, task);
+    this.browserLock = run.catch(() => {});
+    return run;
+  }
+
+  async postTweet(imagePaths, caption, altTexts = []) {
     // Add global timeout wrapper to prevent stuck processes
-    return await this.postTweetWithTimeout(imagePaths, caption, 120000); // 2 minutes timeout
+    let timeoutMs = 120000; // 2 minutes timeout
+    if (imagePaths.some(isVideo)) {
+      // Videos also have to wait for X's processing
+      timeoutMs += config.twitter.videoProcessingTimeout;
+    }
+    
+    return await this.withBrowserLock(() => this.postTweetWithTimeout(imagePaths, caption, altTexts, timeoutMs));
+  }
+
+  async deleteTweet(tweetUrl) {
+    return await this.withBrowserLock(async () => {
+      try {
+        console.log(`🗑️ Deleting tweet: ${tweetUrl}`);
+        
+        await this.initializeBrowser();
+        await this.ensureLoggedIn();
+        
+        await this.page.goto(tweetUrl, {
+          waitUntil: 'networkidle2',
+          timeout: 30000
+        });
+        await this.page.waitForTimeout(2000);
+        
+        // On a status page the first article is the tweet itself
+        const caret = await this.page.waitForSelector('article [data-testid="caret"]', { timeout: 10000 });
+        await caret.click();
+        await this.page.waitForTimeout(1000);
+        
+        const deleteClicked = await this.page.evaluate(() => {
+          const menuItems = Array.from(document.querySelectorAll('[role="menuitem"]'));
+          const deleteItem = menuItems.find(item => (item.innerText || '').trim().startsWith('Delete'));
+          if (deleteItem) {
+            deleteItem.click();
+            return true;
+          }
+          return false;
+        });
+        
+        if (!deleteClicked) {
+          throw new Error('Could not find Delete option in tweet menu');
+        }
+        
+        const confirmButton = await this.page.waitForSelector('[data-testid="confirmationSheetConfirm"]', { timeout: 10000 });
+        await confirmButton.click();
+        await this.page.waitForTimeout(3000);
+        
+        console.log('✅ Tweet deleted successfully');
+        if (this.logger) {
+          await this.logger.log(`🗑️ Tweet deleted: ${tweetUrl}`, 'info');
+        }
+        
+        return true;
+        
+      } catch (error) {
+        console.error('❌ Error deleting tweet:', error);
+        
+        if (this.logger) {
+          await this.logger.log(`❌ Failed to delete tweet ${tweetUrl}: ${error.message}`, 'error');
+        }
+        
+        await this.captureErrorScreenshot(0);
+        await this.closeBrowser();
+        throw error;
+      }
+    });
   }
 
-  async postTweetWithTimeout(imagePaths, caption, timeoutMs = 120000) {
+  async postTweetWithTimeout(imagePaths, caption, altTexts = [], timeoutMs = 120000) {
     return Promise.race([
-      this.postTweetWithRetry(imagePaths, caption, 0),
+      this.postTweetWithRetry(imagePaths, caption, altTexts, 0),
       new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Tweet posting timeout - process took too long')), timeoutMs)
       )
     ]);
   }
 
-  async postTweetWithRetry(imagePaths, caption, attempt = 0) {
+  async postTweetWithRetry(imagePaths, caption, altTexts = [], attempt = 0) {
     try {
-      console.log(`🐦 Starting Twitter post process... (attempt ${attempt + 1}/${this.maxRetries + 1})`);
+      console.log(`🐦 Starting Twitter post process as ${this.account.id}... (attempt ${attempt + 1}/${this.maxRetries + 1})`);
       
       if (this.logger) {
-        await this.logger.log(`🐦 Posting to Twitter (attempt ${attempt + 1}/${this.maxRetries + 1})`, 'info');
+        await this.logger.log(`🐦 Posting to Twitter as ${this.account.username || this.account.id} (attempt ${attempt + 1}/${this.maxRetries + 1})`, 'info');
       }
       
       // Initialize browser and login
@@ -76,6 +158,9 @@ class TwitterPoster {
       // Upload images
       await this.uploadImages(imagePaths);
       
+      // Describe them for screen readers
+      await this.addAltTexts(altTexts);
+      
       // Add caption
       await this.addCaption(caption);
       
@@ -87,9 +172,6 @@ class TwitterPoster {
         await this.logger.log(`✅ Tweet posted successfully: ${tweetUrl}`, 'info');
       }
       
-      // Delete image files from output folder after successful posting
-      await this.deleteImageFiles(imagePaths);
-      
       return tweetUrl;
       
     } catch (error) {
@@ -115,7 +197,7 @@ class TwitterPoster {
         }
         
         await this.delay(delay);
-        return await this.postTweetWithRetry(imagePaths, caption, attempt + 1);
+        return await this.postTweetWithRetry(imagePaths, caption, altTexts, attempt + 1);
       }
       
       // Max retries exceeded
@@ -130,54 +212,21 @@ class TwitterPoster {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async deleteImageFiles(imagePaths) {
-    try {
-      console.log('🗑️ Deleting image files from output folder...');
-      
-      for (const imagePath of imagePaths) {
-        try {
-          // Check if file exists before attempting deletion
-          if (await fs.pathExists(imagePath)) {
-            await fs.unlink(imagePath);
-            console.log(`✅ Deleted: ${path.basename(imagePath)}`);
-            
-            if (this.logger) {
-              await this.logger.log(`🗑️ Deleted image file: ${path.basename(imagePath)}`, 'info');
-            }
-          } else {
-            console.log(`⚠️ File not found (already deleted?): ${path.basename(imagePath)}`);
-          }
-        } catch (fileError) {
-          console.error(`❌ Failed to delete ${path.basename(imagePath)}:`, fileError.message);
-          
-          if (this.logger) {
-            await this.logger.log(`❌ Failed to delete image file ${path.basename(imagePath)}: ${fileError.message}`, 'error');
-          }
-        }
-      }
-      
-      console.log('✅ Image file cleanup completed');
-      
-    } catch (error) {
-      console.error('❌ Error during image file cleanup:', error);
-      
-      if (this.logger) {
-        await this.logger.log(`❌ Image file cleanup error: ${error.message}`, 'error');
-      }
-    }
-  }
-
   async initializeBrowser() {
     try {
       if (this.browser) {
         return; // Already initialized
       }
       
-      console.log('🌐 Launching browser...');
+      console.log(`🌐 Launching browser for account ${this.account.id}...`);
+      
+      // Separate profile per account so sessions never leak between them
+      await fs.ensureDir(this.account.userDataDir);
       
       this.browser = await puppeteer.launch({
         headless: process.env.NODE_ENV === 'production' || process.env.HEADLESS === 'new',
         defaultViewport: null,
+        userDataDir: this.account.userDataDir,
         timeout: 30000, // Add browser launch timeout
         args: [
           '--no-sandbox',
@@ -217,9 +266,9 @@ class TwitterPoster {
 
   async loadCookies() {
     try {
-      if (await fs.pathExists(config.paths.cookies)) {
+      if (await fs.pathExists(this.account.cookies)) {
         console.log('🍪 Loading saved cookies...');
-        const cookies = await fs.readJson(config.paths.cookies);
+        const cookies = await fs.readJson(this.account.cookies);
         await this.page.setCookie(...cookies);
         console.log('✅ Cookies loaded successfully');
       } else {
@@ -233,8 +282,8 @@ class TwitterPoster {
   async saveCookies() {
     try {
       const cookies = await this.page.cookies();
-      await fs.ensureDir(path.dirname(config.paths.cookies));
-      await fs.writeJson(config.paths.cookies, cookies);
+      await fs.ensureDir(path.dirname(this.account.cookies));
+      await fs.writeJson(this.account.cookies, cookies);
       console.log('✅ Cookies saved successfully');
     } catch (error) {
       console.error('❌ Error saving cookies:', error);
@@ -295,7 +344,7 @@ class TwitterPoster {
       await this.page.waitForSelector('input[name="text"]', { timeout: 10000 });
       
       // Enter username
-      await this.page.type('input[name="text"]', config.twitter.username, { delay: 100 });
+      await this.page.type('input[name="text"]', this.account.username, { delay: 100 });
       
       // Click Next button
       await this.page.click('[role="button"]:has-text("Next")');
@@ -304,7 +353,7 @@ class TwitterPoster {
       await this.page.waitForSelector('input[name="password"]', { timeout: 10000 });
       
       // Enter password
-      await this.page.type('input[name="password"]', config.twitter.password, { delay: 100 });
+      await this.page.type('input[name="password"]', this.account.password, { delay: 100 });
       
       // Click Login button
       await this.page.click('[data-testid="LoginForm_Login_Button"]');
@@ -379,7 +428,7 @@ class TwitterPoster {
 
   async uploadImages(imagePaths) {
     try {
-      console.log(`📸 Uploading ${imagePaths.length} image(s)...`);
+      console.log(`📸 Uploading ${imagePaths.length} media file(s)...`);
       
       // 1. CARI file input langsung
       const fileInputSelectors = [
@@ -529,16 +578,154 @@ class TwitterPoster {
         await this.page.screenshot({ path: `temp/upload_errors_${Date.now()}.png` });
       }
       
+      // Videos are uploaded and processed in the background; the Post
+      // button stays disabled until X is done with them
+      if (imagePaths.some(isVideo)) {
+        await this.waitForMediaProcessing();
+      }
+      
     } catch (error) {
       console.error('❌ Error uploading images:', error);
       throw error;
     }
   }
 
+  async waitForMediaProcessing() {
+    const timeoutMs = config.twitter.videoProcessingTimeout;
+    const startTime = Date.now();
+    let lastReport = 0;
+    
+    console.log('🎬 Waiting for X to finish processing the video...');
+    
+    while (Date.now() - startTime < timeoutMs) {
+      const status = await this.page.evaluate(() => {
+        const progressBar = document.querySelector('[role="progressbar"]');
+        const postButton = document.querySelector('[data-testid="tweetButton"], [data-testid="tweetButtonInline"]');
+        const buttonDisabled = !postButton || postButton.disabled || postButton.getAttribute('aria-disabled') === 'true';
+        
+        return {
+          inProgress: !!progressBar,
+          progress: progressBar ? progressBar.getAttribute('aria-valuenow') : null,
+          buttonDisabled
+        };
+      });
+      
+      if (!status.inProgress && !status.buttonDisabled) {
+        console.log(`✅ Video processed in ${Math.round((Date.now() - startTime) / 1000)}s`);
+        return;
+      }
+      
+      // Report progress every 15 seconds
+      if (Date.now() - lastReport > 15000) {
+        lastReport = Date.now();
+        console.log(`⏳ Video still processing${status.progress ? ` (${status.progress}%)` : ''}...`);
+      }
+      
+      await this.page.waitForTimeout(2000);
+    }
+    
+    throw new Error(`Video processing did not finish within ${timeoutMs / 1000}s`);
+  }
+
+  // Fills X's "Add description" dialog of each uploaded image; an image
+  // that can't be described is still posted
+  async addAltTexts(altTexts) {
+    if (!altTexts.some(Boolean)) {
+      return;
+    }
+    
+    console.log('🖼️ Adding alt text...');
+    
+    const textareaSelectors = [
+      'textarea[data-testid="altTextInput"]',
+      'textarea[name="altTextInput"]',
+      '[role="dialog"] textarea'
+    ];
+    
+    for (const [index, altText] of altTexts.entries()) {
+      if (!altText) {
+        continue;
+      }
+      
+      let dialogOpen = false;
+      try {
+        // One "Add description" (or ALT) button per attachment, in upload order
+        const opened = await this.page.evaluate((position) => {
+          const buttons = Array.from(document.querySelectorAll('[data-testid="attachments"] [role="button"], [data-testid="attachments"] a'))
+            .filter(element => /add description|^alt$/i.test((element.innerText || element.getAttribute('aria-label') || '').trim()));
+          if (buttons[position]) {
+            buttons[position].click();
+            return true;
+          }
+          return false;
+        }, index);
+        
+        if (!opened) {
+          throw new Error('no "Add description" button');
+        }
+        
+        let textarea = null;
+        for (const selector of textareaSelectors) {
+          try {
+            textarea = await this.page.waitForSelector(selector, { timeout: 5000 });
+            if (textarea) break;
+          } catch (e) {
+            continue;
+          }
+        }
+        
+        if (!textarea) {
+          throw new Error('description field did not open');
+        }
+        dialogOpen = true;
+        
+        // Replace whatever X prefilled
+        await textarea.click({ clickCount: 3 });
+        await this.page.keyboard.press('Backspace');
+        await textarea.type(altText.slice(0, config.constants.maxAltTextLength));
+        
+        const saved = await this.page.evaluate(() => {
+          const saveButton = document.querySelector('[data-testid="endEditingButton"]') ||
+            Array.from(document.querySelectorAll('[role="dialog"] [role="button"], [role="dialog"] button'))
+              .find(button => /^(save|done|apply)$/i.test((button.innerText || '').trim()));
+          if (saveButton) {
+            saveButton.click();
+            return true;
+          }
+          return false;
+        });
+        
+        if (!saved) {
+          throw new Error('no Save button');
+        }
+        
+        await this.page.waitForTimeout(1000);
+        console.log(`✅ Alt text added to image ${index + 1}`);
+        
+      } catch (error) {
+        console.warn(`⚠️ Could not add alt text to image ${index + 1}: ${error.message}`);
+        // Close the description dialog so the caption can still be typed
+        if (dialogOpen) {
+          await this.page.keyboard.press('Escape').catch(() => {});
+          await this.page.waitForTimeout(500);
+        }
+      }
+    }
+  }
+
   async addCaption(caption) {
     try {
       console.log('📝 Adding caption...');
       
+      // X counts weighted length, and a space is typed after the caption below
+      caption = caption.normalize('NFC');
+      const maxLength = config.constants.maxCaptionLength - 1;
+      if (getTweetLength(caption) > maxLength) {
+        console.warn(`⚠️ Caption is ${getTweetLength(caption)}/${maxLength} weighted characters, truncating`);
+        caption = truncateTweet(caption, maxLength);
+      }
+      const preview = Array.from(caption).slice(0, 20).join('');
+      
       // Find the tweet text area with multiple selectors
       const textAreaSelectors = [
         '[data-testid="tweetTextarea_0"]',
@@ -577,7 +764,7 @@ class TwitterPoster {
       await this.page.waitForTimeout(500);
       
       // Type the caption with delay to avoid being flagged as bot
-      console.log(`📝 Typing caption: ${caption.substring(0, 50)}...`);
+      console.log(`📝 Typing caption: ${Array.from(caption).slice(0, 50).join('')}...`);
       await this.page.type('[data-testid="tweetTextarea_0"]', caption, { delay: 50 });
       
       // Verify caption was added - check multiple properties
@@ -594,16 +781,16 @@ class TwitterPoster {
           };
         }, textAreaElement);
         
-        const hasContent = textInfo.textContent.includes(caption.substring(0, 20)) || 
-                          textInfo.innerText.includes(caption.substring(0, 20)) ||
-                          textInfo.value.includes(caption.substring(0, 20));
+        const hasContent = textInfo.textContent.includes(preview) || 
+                          textInfo.innerText.includes(preview) ||
+                          textInfo.value.includes(preview);
         
         if (hasContent) {
           console.log('✅ Caption added and verified successfully');
           console.log(`📝 Content found: ${textInfo.textContent || textInfo.innerText || textInfo.value}`);
         } else {
           console.warn('⚠️ Caption may not have been added correctly');
-          console.log(`Expected: ${caption.substring(0, 50)}...`);
+          console.log(`Expected: ${Array.from(caption).slice(0, 50).join('')}...`);
           console.log('Text area content:', textInfo);
           
           // Try alternative method - focus and clear, then type again
@@ -986,7 +1173,7 @@ class TwitterPoster {
     // If no status links found in current page, navigate to profile as fallback
     try {
       console.log('🔍 Checking profile for latest tweet...');
-      const profileUrl = `https://x.com/${config.twitter.username}`;
+      const profileUrl = `https://x.com/${this.account.username}`;
       console.log(`🔗 Navigating to profile: ${profileUrl}`);
       
       await this.page.goto(profileUrl, {
@@ -1221,18 +1408,20 @@ class TwitterPoster {
   }
 
   async testLogin() {
-    try {
-      await this.initializeBrowser();
-      await this.ensureLoggedIn();
-      console.log('✅ Twitter login test successful');
-      return true;
-    } catch (error) {
-      console.error('❌ Twitter login test failed:', error);
-      return false;
-    } finally {
-      await this.closeBrowser();
-    }
+    return await this.withBrowserLock(async () => {
+      try {
+        await this.initializeBrowser();
+        await this.ensureLoggedIn();
+        console.log('✅ Twitter login test successful');
+        return true;
+      } catch (error) {
+        console.error('❌ Twitter login test failed:', error);
+        return false;
+      } finally {
+        await this.closeBrowser();
+      }
+    });
   }
 }
 
-module.exports = new TwitterPoster();
\ No newline at end of file
+module.exports = { TwitterPoster };
\ No newline at end of file
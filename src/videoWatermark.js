@@ -0,0 +1,155 @@
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const imageWatermark = require('./imageWatermark');
+const { getMediaType } = require('./mediaUtils');
+const { POSITIONS, resolvePlacement, placementKey } = require('./watermarkPlacement');
+
+/**
+ * Watermarks videos and GIF animations with ffmpeg.
+ * ffmpeg is optional: when it isn't installed the step is skipped with a
+ * warning and the original file is posted.
+ */
+class VideoWatermark {
+  constructor() {
+    this.watermarkPath = config.paths.watermark;
+    this.ffmpegPath = config.app.ffmpegPath;
+    this.availability = null;
+  }
+
+  isAvailable() {
+    if (!this.availability) {
+      this.availability = this.runFfmpeg(['-version'])
+        .then(() => true)
+        .catch(() => false);
+    }
+
+    return this.availability;
+  }
+
+  runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+
+      child.stderr.on('data', chunk => {
+        // Only the tail is useful for error messages
+        stderr = (stderr + chunk.toString()).slice(-2000);
+      });
+      child.on('error', reject);
+      child.on('close', code => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+        }
+      });
+    });
+  }
+
+  // Same naming as imageWatermark.getOutputPath, keeping GIFs as GIFs
+  getOutputPath(inputPath, options = {}) {
+    const extension = getMediaType(inputPath) === 'gif' ? '.gif' : '.mp4';
+    const inputName = options.sourceHash || path.basename(inputPath, path.extname(inputPath));
+    const key = placementKey(options.placement || resolvePlacement(), options.watermarkPath || this.watermarkPath, ...[options.markText, options.seed].filter(Boolean));
+    return path.join(config.paths.output, `${inputName}_${key}_watermarked${extension}`);
+  }
+
+  // overlay x:y for the anchor and random modes; tiled and diagonal fall back to the center
+  overlayPosition(placement) {
+    let fractions = POSITIONS[placement.position] || POSITIONS.center;
+
+    if (placement.mode === 'random') {
+      fractions = [Math.random(), Math.random()];
+    } else if (placement.mode !== 'anchor') {
+      console.warn(`⚠️ ${placement.mode} watermarks aren't supported on videos, centering the logo instead`);
+      fractions = POSITIONS.center;
+    }
+
+    const margin = `min(W,H)*${placement.margin}`;
+    const [x, y] = fractions.map(fraction => fraction.toFixed(3));
+    return `x='${margin}+max(0,W-w-2*${margin})*${x}':y='${margin}+max(0,H-h-2*${margin})*${y}'`;
+  }
+
+  // Same options as imageWatermark.addWatermark
+  async addWatermark(inputPath, options = {}) {
+    if (!await this.isAvailable()) {
+      console.warn(`⚠️ ffmpeg not available, posting ${path.basename(inputPath)} without watermark`);
+      return null;
+    }
+
+    const watermarkPath = options.watermarkPath || this.watermarkPath;
+    if (!await fs.pathExists(watermarkPath)) {
+      throw new Error(`Watermark file not found: ${watermarkPath}`);
+    }
+
+    console.log(`🎬 Adding watermark to video: ${path.basename(inputPath)}`);
+
+    await fs.ensureDir(config.paths.output);
+
+    const isGif = getMediaType(inputPath) === 'gif';
+    const outputPath = this.getOutputPath(inputPath, options);
+    const placement = options.placement || resolvePlacement();
+
+    // Text marks are drawn by sharp and overlaid like a logo
+    let mark = { path: watermarkPath, widthRatio: placement.size };
+    if ((placement.content || 'logo') !== 'logo' && options.markText) {
+      mark = await imageWatermark.renderMarkFile(watermarkPath, placement, options.markText);
+    }
+
+    // Scale the mark relative to the video width, fade it, and place it
+    let filter = `[1:v][0:v]scale2ref=w=main_w*${mark.widthRatio}:h=ow/a[wm][base];` +
+                 `[wm]format=rgba,colorchannelmixer=aa=${placement.opacity}[wmfaded];` +
+                 `[base][wmfaded]overlay=${this.overlayPosition(placement)}`;
+
+    if (isGif) {
+      filter += ',split[a][b];[a]palettegen[palette];[b][palette]paletteuse[out]';
+    } else {
+      filter += '[out]';
+    }
+
+    const args = ['-y', '-i', inputPath, '-i', mark.path, '-filter_complex', filter, '-map', '[out]'];
+
+    if (!isGif) {
+      args.push(
+        '-map', '0:a?',
+        '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p',
+        '-c:a', 'copy',
+        '-movflags', '+faststart'
+      );
+    }
+
+    args.push(outputPath);
+
+    try {
+      await this.runFfmpeg(args);
+    } finally {
+      if (mark.path !== watermarkPath) {
+        await fs.remove(mark.path);
+      }
+    }
+
+    console.log(`✅ Video watermark added successfully: ${path.basename(outputPath)}`);
+    return outputPath;
+  }
+
+  // Representative still frame, used when a post has no photo for the vision model
+  async extractFrame(videoPath) {
+    if (!await this.isAvailable()) {
+      return null;
+    }
+
+    const framePath = path.join(config.paths.temp, `${path.basename(videoPath, path.extname(videoPath))}_frame.jpg`);
+
+    try {
+      await this.runFfmpeg(['-y', '-i', videoPath, '-vf', 'thumbnail', '-frames:v', '1', framePath]);
+      return framePath;
+    } catch (error) {
+      console.error(`❌ Error extracting frame from ${path.basename(videoPath)}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new VideoWatermark();
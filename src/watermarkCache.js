@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * Index of watermarked outputs, keyed by a hash of the source file's bytes
+ * plus the watermark settings (see getOutputPath), so the same photo
+ * reposted to several accounts, or downloaded again for a repost, is only
+ * watermarked once per distinct look.
+ *
+ * Every post using an output holds a reference to it until it is published
+ * or discarded; referenced outputs are never deleted. Unreferenced ones are
+ * kept for WATERMARK_CACHE_TTL_HOURS after their last use, then pruned.
+ */
+class WatermarkCache {
+  constructor() {
+    this.filePath = config.watermarkCache.path;
+    this.ttl = config.watermarkCache.ttl;
+    this.maxHold = config.watermarkCache.maxHold;
+    this.entries = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    try {
+      this.entries = await fs.pathExists(this.filePath) ? await fs.readJson(this.filePath) : {};
+    } catch (error) {
+      console.error('❌ Error loading watermark cache index:', error);
+      this.entries = {};
+    }
+
+    return this.entries;
+  }
+
+  save() {
+    this.writeChain = this.writeChain
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeJson(tempPath, this.entries, { spaces: 2 });
+        await fs.move(tempPath, this.filePath, { overwrite: true });
+      })
+      .catch(error => {
+        console.error('❌ Error saving watermark cache index:', error);
+      });
+
+    return this.writeChain;
+  }
+
+  // First 16 hex chars of the SHA-256 of a file's bytes
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(hash.digest('hex').slice(0, 16)));
+    });
+  }
+
+  // Cache key of an output path: its name without the extension, which the encoder may change
+  keyOf(outputPath) {
+    return path.basename(outputPath, path.extname(outputPath));
+  }
+
+  /**
+   * The cached output for `key`, now also held by `holder` (if any), or
+   * null when there is none (or its file is gone).
+   */
+  async acquire(key, holder) {
+    const entries = await this.load();
+    const entry = entries[key];
+
+    if (!entry) {
+      return null;
+    }
+
+    if (!await fs.pathExists(entry.path)) {
+      delete entries[key];
+      await this.save();
+      return null;
+    }
+
+    if (holder) {
+      entry.holders[holder] = Date.now();
+    }
+    entry.usedAt = Date.now();
+    await this.save();
+    return entry.path;
+  }
+
+  // Records a freshly watermarked output, held by `holder`
+  async store(key, outputPath, holder) {
+    const entries = await this.load();
+    const now = Date.now();
+
+    entries[key] = {
+      path: outputPath,
+      holders: { ...(entries[key]?.holders || {}), ...(holder ? { [holder]: now } : {}) },
+      createdAt: now,
+      usedAt: now
+    };
+
+    await this.save();
+  }
+
+  // Drops every reference `holder` has; the outputs stay cached until they expire
+  async release(holder) {
+    const entries = await this.load();
+    let changed = false;
+
+    for (const entry of Object.values(entries)) {
+      if (entry.holders[holder]) {
+        delete entry.holders[holder];
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Deletes unreferenced outputs unused for longer than the TTL and forgets
+   * entries whose file is gone. References older than maxHold are dropped
+   * first: a post that hasn't been published or discarded by then never will.
+   */
+  async prune() {
+    const entries = await this.load();
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of Object.entries(entries)) {
+      for (const [holder, since] of Object.entries(entry.holders)) {
+        if (now - since > this.maxHold) {
+          delete entry.holders[holder];
+        }
+      }
+
+      const expired = Object.keys(entry.holders).length === 0 && now - entry.usedAt > this.ttl;
+      if (expired || !await fs.pathExists(entry.path)) {
+        await fs.remove(entry.path);
+        delete entries[key];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🗑️ Pruned ${removed} cached watermarked file(s)`);
+    }
+
+    await this.save();
+  }
+
+  // Every cached output: their lifetime is managed here, not by the output folder sweep
+  getReferencedFiles() {
+    return Object.values(this.entries || {}).map(entry => entry.path);
+  }
+}
+
+module.exports = new WatermarkCache();
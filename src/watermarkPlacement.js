@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+const MODES = ['anchor', 'tiled', 'diagonal', 'random', 'smart'];
+const CONTENTS = ['logo', 'text', 'both'];
+
+// Anchor name -> [x, y] as fractions of the free space
+const POSITIONS = {
+  'top-left': [0, 0],
+  'top': [0.5, 0],
+  'top-right': [1, 0],
+  'left': [0, 0.5],
+  'center': [0.5, 0.5],
+  'right': [1, 0.5],
+  'bottom-left': [0, 1],
+  'bottom': [0.5, 1],
+  'bottom-right': [1, 1]
+};
+
+/**
+ * Placement settings for a watermark: { content, text, font, textSize,
+ * textColor, textStroke, textShadow, mode, position, margin, angle,
+ * spacing, size, opacity, targetContrast, maxOpacity }. `overrides` (an account's or a route's
+ * `watermarkPlacement`) are laid over the configured defaults.
+ */
+function resolvePlacement(...overrides) {
+  const placement = {
+    size: config.app.watermarkSize,
+    opacity: config.app.watermarkOpacity,
+    ...config.watermark
+  };
+
+  for (const override of overrides) {
+    Object.assign(placement, override || {});
+  }
+
+  return placement;
+}
+
+// Throws on settings that would otherwise be silently ignored
+function validatePlacement(placement, where) {
+  if (!placement) {
+    return;
+  }
+
+  if (placement.mode !== undefined && !MODES.includes(placement.mode)) {
+    throw new Error(`Unknown watermark mode "${placement.mode}" in ${where} (use ${MODES.join(', ')})`);
+  }
+
+  if (placement.content !== undefined && !CONTENTS.includes(placement.content)) {
+    throw new Error(`Unknown watermark content "${placement.content}" in ${where} (use ${CONTENTS.join(', ')})`);
+  }
+
+  if (placement.position !== undefined && !POSITIONS[placement.position]) {
+    throw new Error(`Unknown watermark position "${placement.position}" in ${where} (use ${Object.keys(POSITIONS).join(', ')})`);
+  }
+}
+
+// Short hash of everything that changes the output (settings, logo, rendered text), for watermarked file names
+function placementKey(placement, ...extras) {
+  const settings = Object.keys(placement).sort().map(key => [key, placement[key]]);
+  return crypto.createHash('sha1').update(JSON.stringify([settings, ...extras])).digest('hex').slice(0, 8);
+}
+
+/**
+ * Top-left corner of a `logo`-sized box on a `frame`-sized image, for the
+ * anchor and random modes. Sizes are { width, height }.
+ */
+function computeOffset(placement, frame, logo) {
+  const margin = Math.round(Math.min(frame.width, frame.height) * placement.margin);
+  const freeWidth = Math.max(0, frame.width - logo.width - margin * 2);
+  const freeHeight = Math.max(0, frame.height - logo.height - margin * 2);
+  const [x, y] = placement.mode === 'random'
+    ? [Math.random(), Math.random()]
+    : POSITIONS[placement.position] || POSITIONS.center;
+
+  return {
+    left: Math.min(frame.width - logo.width, margin + Math.round(freeWidth * x)),
+    top: Math.min(frame.height - logo.height, margin + Math.round(freeHeight * y))
+  };
+}
+
+module.exports = {
+  MODES,
+  CONTENTS,
+  POSITIONS,
+  resolvePlacement,
+  validatePlacement,
+  placementKey,
+  computeOffset
+};
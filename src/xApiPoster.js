@@ -0,0 +1,311 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const { getMediaType, mimeTypeFor } = require('./mediaUtils');
+
+const MEDIA_CATEGORIES = {
+  photo: 'tweet_image',
+  gif: 'tweet_gif',
+  video: 'tweet_video'
+};
+
+/**
+ * Error from the X API, classified so callers can decide whether another
+ * backend is worth trying. `type` is one of: auth, rate_limit, duplicate,
+ * media, client, server, network.
+ */
+class XApiError extends Error {
+  constructor(message, { type, status = null, response = null, stage = null } = {}) {
+    super(message);
+    this.name = 'XApiError';
+    this.type = type;
+    this.stage = stage; // 'create' when POST /2/tweets itself failed
+    this.status = status;
+    this.response = response;
+  }
+}
+
+// RFC 3986 encoding, as required by the OAuth 1.0a signature base string
+function percentEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Posts through the official X API v2 with OAuth 1.0a user context.
+ * Media goes through the chunked upload (INIT/APPEND/FINALIZE/STATUS)
+ * before `POST /2/tweets`. Base URLs come from the options so the whole
+ * flow can run against a local mock server.
+ */
+class XApiPoster {
+  constructor(options = config.xApi, username = config.twitter.username) {
+    this.options = options;
+    this.username = username;
+    this.logger = null;
+  }
+
+  setLogger(logger) {
+    this.logger = logger;
+  }
+
+  isConfigured() {
+    const { apiKey, apiSecret, accessToken, accessTokenSecret } = this.options;
+    return !!(apiKey && apiSecret && accessToken && accessTokenSecret);
+  }
+
+  async postTweet(imagePaths, caption, altTexts = []) {
+    if (!this.isConfigured()) {
+      throw new XApiError('X API credentials are not configured', { type: 'auth' });
+    }
+
+    console.log(`🐦 Posting via X API (${imagePaths.length} media file(s))...`);
+
+    const mediaIds = [];
+    for (const [index, imagePath] of imagePaths.entries()) {
+      const mediaId = await this.uploadMedia(imagePath);
+      if (altTexts[index]) {
+        await this.setAltText(mediaId, altTexts[index]);
+      }
+      mediaIds.push(mediaId);
+    }
+
+    const body = { text: caption };
+    if (mediaIds.length > 0) {
+      body.media = { media_ids: mediaIds };
+    }
+
+    let response;
+    try {
+      response = await this.request('POST', `${this.options.apiBaseUrl}/2/tweets`, { json: body });
+    } catch (error) {
+      // From here a timeout or 5xx doesn't say whether the tweet exists
+      if (error instanceof XApiError) {
+        error.stage = 'create';
+      }
+      throw error;
+    }
+    const tweetId = response.data?.id;
+
+    if (!tweetId) {
+      throw new XApiError('X API did not return a tweet ID', { type: 'server', stage: 'create', response });
+    }
+
+    const tweetUrl = this.buildTweetUrl(tweetId);
+    console.log(`✅ Tweet posted via X API: ${tweetUrl}`);
+
+    if (this.logger) {
+      await this.logger.log(`✅ Tweet posted via X API!\n🔗 ${tweetUrl}`, 'success');
+    }
+
+    return tweetUrl;
+  }
+
+  async deleteTweet(tweetUrl) {
+    const tweetId = /\/status\/(\d+)/.exec(tweetUrl)?.[1];
+    if (!tweetId) {
+      throw new XApiError(`Not a tweet URL: ${tweetUrl}`, { type: 'client' });
+    }
+
+    console.log(`🗑️ Deleting tweet via X API: ${tweetUrl}`);
+    await this.request('DELETE', `${this.options.apiBaseUrl}/2/tweets/${tweetId}`);
+
+    if (this.logger) {
+      await this.logger.log(`🗑️ Tweet deleted: ${tweetUrl}`, 'info');
+    }
+
+    return true;
+  }
+
+  async testLogin() {
+    try {
+      const response = await this.request('GET', `${this.options.apiBaseUrl}/2/users/me`);
+      console.log(`✅ X API credentials valid for @${response.data?.username}`);
+      return true;
+    } catch (error) {
+      console.error('❌ X API login test failed:', error.message);
+      return false;
+    }
+  }
+
+  buildTweetUrl(tweetId) {
+    return this.username ? `https://x.com/${this.username}/status/${tweetId}` : `https://x.com/i/web/status/${tweetId}`;
+  }
+
+  async uploadMedia(filePath) {
+    const uploadUrl = `${this.options.uploadBaseUrl}/1.1/media/upload.json`;
+    const mediaType = getMediaType(filePath);
+    const { size } = await fs.stat(filePath);
+
+    console.log(`📤 Uploading ${path.basename(filePath)} (${Math.round(size / 1024)} KB)`);
+
+    const init = await this.request('POST', uploadUrl, {
+      query: {
+        command: 'INIT',
+        total_bytes: String(size),
+        media_type: mimeTypeFor(filePath),
+        media_category: MEDIA_CATEGORIES[mediaType]
+      }
+    });
+    const mediaId = init.media_id_string;
+
+    // Segments are read one at a time so large videos never sit in memory
+    const handle = await fs.open(filePath, 'r');
+    try {
+      for (let offset = 0, segmentIndex = 0; offset < size; offset += this.options.chunkSize, segmentIndex++) {
+        const length = Math.min(this.options.chunkSize, size - offset);
+        const chunk = Buffer.alloc(length);
+        await fs.read(handle, chunk, 0, length, offset);
+
+        const form = new FormData();
+        form.append('media', new Blob([chunk]), path.basename(filePath));
+
+        await this.request('POST', uploadUrl, {
+          query: { command: 'APPEND', media_id: mediaId, segment_index: String(segmentIndex) },
+          form
+        });
+      }
+    } finally {
+      await fs.close(handle);
+    }
+
+    const finalize = await this.request('POST', uploadUrl, {
+      query: { command: 'FINALIZE', media_id: mediaId }
+    });
+
+    if (finalize.processing_info) {
+      await this.waitForProcessing(uploadUrl, mediaId, finalize.processing_info);
+    }
+
+    return mediaId;
+  }
+
+  // A missing description isn't worth failing the post over
+  async setAltText(mediaId, text) {
+    try {
+      await this.request('POST', `${this.options.uploadBaseUrl}/1.1/media/metadata/create.json`, {
+        json: { media_id: mediaId, alt_text: { text } }
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not set alt text on media ${mediaId}: ${error.message}`);
+    }
+  }
+
+  async waitForProcessing(uploadUrl, mediaId, processingInfo) {
+    const deadline = Date.now() + config.twitter.videoProcessingTimeout;
+    let info = processingInfo;
+
+    while (info.state === 'pending' || info.state === 'in_progress') {
+      if (Date.now() > deadline) {
+        throw new XApiError(`Media ${mediaId} was not processed in time`, { type: 'media' });
+      }
+
+      console.log(`⏳ X is processing media ${mediaId}${info.progress_percent != null ? ` (${info.progress_percent}%)` : ''}...`);
+      await this.delay((info.check_after_secs || 1) * 1000);
+
+      const status = await this.request('GET', uploadUrl, {
+        query: { command: 'STATUS', media_id: mediaId }
+      });
+      info = status.processing_info || { state: 'succeeded' };
+    }
+
+    if (info.state === 'failed') {
+      throw new XApiError(`Media processing failed: ${info.error?.message || 'unknown error'}`, { type: 'media' });
+    }
+  }
+
+  buildAuthHeader(method, url, params) {
+    const oauth = {
+      oauth_consumer_key: this.options.apiKey,
+      oauth_nonce: crypto.randomBytes(16).toString('hex'),
+      oauth_signature_method: 'HMAC-SHA1',
+      oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+      oauth_token: this.options.accessToken,
+      oauth_version: '1.0'
+    };
+
+    // Query parameters are signed; JSON and multipart bodies are not
+    const signed = { ...params, ...oauth };
+    const paramString = Object.keys(signed)
+      .map(key => [percentEncode(key), percentEncode(signed[key])])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+
+    const baseString = [method.toUpperCase(), percentEncode(url), percentEncode(paramString)].join('&');
+    const signingKey = `${percentEncode(this.options.apiSecret)}&${percentEncode(this.options.accessTokenSecret)}`;
+    oauth.oauth_signature = crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+
+    return 'OAuth ' + Object.keys(oauth)
+      .sort()
+      .map(key => `${percentEncode(key)}="${percentEncode(oauth[key])}"`)
+      .join(', ');
+  }
+
+  async request(method, url, { query = {}, json, form } = {}) {
+    const queryString = Object.keys(query)
+      .map(key => `${percentEncode(key)}=${percentEncode(query[key])}`)
+      .join('&');
+
+    const headers = { Authorization: this.buildAuthHeader(method, url, query) };
+    let data;
+
+    if (json) {
+      headers['Content-Type'] = 'application/json';
+      data = json;
+    } else if (form) {
+      data = form;
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: queryString ? `${url}?${queryString}` : url,
+        headers,
+        data,
+        timeout: this.options.timeout,
+        maxBodyLength: Infinity
+      });
+
+      return response.data || {};
+    } catch (error) {
+      throw this.classifyError(error);
+    }
+  }
+
+  classifyError(error) {
+    if (!error.response) {
+      return new XApiError(`X API request failed: ${error.message}`, { type: 'network' });
+    }
+
+    const { status, data, headers } = error.response;
+    const detail = data?.detail || data?.errors?.[0]?.message || data?.title || data?.error || `HTTP ${status}`;
+    const options = { status, response: data };
+
+    if (status === 429) {
+      const reset = parseInt(headers?.['x-rate-limit-reset']);
+      const resetNote = reset ? ` (resets ${new Date(reset * 1000).toISOString()})` : '';
+      return new XApiError(`X API rate limit reached${resetNote}`, { ...options, type: 'rate_limit' });
+    }
+
+    if (/duplicate/i.test(detail)) {
+      return new XApiError(`X API rejected duplicate content: ${detail}`, { ...options, type: 'duplicate' });
+    }
+
+    if (status === 401 || status === 403) {
+      return new XApiError(`X API authorization failed: ${detail}`, { ...options, type: 'auth' });
+    }
+
+    if (status >= 500) {
+      return new XApiError(`X API server error: ${detail}`, { ...options, type: 'server' });
+    }
+
+    return new XApiError(`X API request rejected: ${detail}`, { ...options, type: 'client' });
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = { XApiPoster, XApiError };
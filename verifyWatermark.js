@@ -0,0 +1,98 @@
+require('dotenv').config();
+const sharp = require('sharp');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./src/config');
+const routing = require('./src/routing');
+const postHistory = require('./src/postHistory');
+const { extractPayload, accountHash } = require('./src/forensicWatermark');
+
+const USAGE = `Usage: node verifyWatermark.js <image> [options]
+
+Reads the invisible watermark (FORENSIC_WATERMARK_ENABLED) back from a
+suspect image, e.g. a repost with the visible logo cropped out, and looks
+the post up in the history. Exits with code 2 when no payload is found.
+
+Options:
+  --key <key>         Key the image was marked with (default: FORENSIC_WATERMARK_KEY)
+  --strength <step>   Strength it was marked with (default: FORENSIC_WATERMARK_STRENGTH)`;
+
+function parseArgs(argv) {
+    const args = { flags: {}, positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            const next = argv[i + 1];
+            args.flags[name] = next !== undefined && !next.startsWith('--') ? argv[++i] : true;
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    const { flags, positional } = parseArgs(process.argv.slice(2));
+    const imagePath = positional[0];
+
+    if (flags.help || !imagePath) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!await fs.pathExists(imagePath)) {
+        throw new Error(`Image not found: ${imagePath}`);
+    }
+
+    const key = typeof flags.key === 'string' ? flags.key : config.forensic.key;
+    if (!key) {
+        throw new Error('No key: pass --key or set FORENSIC_WATERMARK_KEY');
+    }
+
+    const options = {
+        key,
+        strength: typeof flags.strength === 'string' ? parseFloat(flags.strength) : config.forensic.strength
+    };
+
+    console.log(`🔍 Reading ${path.basename(imagePath)}...`);
+
+    const { data, info } = await sharp(imagePath).raw().toBuffer({ resolveWithObject: true });
+    const result = extractPayload(data, info, options);
+
+    if (!result.found) {
+        console.log(`❌ No forensic watermark found (best agreement ${result.confidence}${result.payload ? ', below the threshold' : ', no valid checksum'})`);
+        process.exitCode = 2;
+        return;
+    }
+
+    const { payload, confidence, alignment } = result;
+    const account = routing.getAccounts().find(candidate => accountHash(candidate.id) === payload.accountHash);
+
+    console.log('─'.repeat(60));
+    console.log(`🆔 Post ID:    ${payload.postId}`);
+    console.log(`👤 Account:    ${account ? account.id : `unknown (hash ${payload.accountHash})`}`);
+    console.log(`🕒 Marked at:  ${new Date(payload.timestamp).toISOString().replace('T', ' ').slice(0, 16)} UTC`);
+    console.log(`📶 Confidence: ${confidence}`);
+    if (alignment.x || alignment.y || alignment.tileX || alignment.tileY) {
+        console.log(`✂️ The image was cropped (pattern found ${alignment.x},${alignment.y} px in)`);
+    }
+
+    const entry = await postHistory.findByMarkId(payload.postId);
+    if (entry) {
+        const messageId = entry.messageIds[0];
+        console.log(`📢 Source:     ${entry.channelName || entry.chatUsername || entry.chatId}, message ${messageId}`);
+        postHistory.getUrls(entry).forEach(url => console.log(`🔗 ${url}`));
+    } else {
+        console.log('📭 Not in the post history (never published, or rotated out)');
+    }
+    console.log('─'.repeat(60));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+    });
+}